@@ -6,7 +6,7 @@
  */
 
 // --- Version (bump when you deploy changes) ---
-const VERSION = '1.0.51';
+const VERSION = '1.0.95';
 
 // --- Import folder config ---
 const IMPORT_FOLDER_NAME = 'KNA Email Sender Import';
@@ -19,14 +19,43 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu('KNA Email Sender (v' + VERSION + ')')
     .addItem('Import from Drive', 'importFromDrive')
+    .addItem('Import from ClassNavi', 'importFromClassNavi')
+    .addItem('Import from Gmail', 'importFromGmail')
+    .addItem('Import from Archive…', 'openImportFromArchive')
     .addItem('Create / Open Import Folder', 'createOrOpenImportFolder')
+    .addItem('Archive Retention…', 'setArchiveRetention')
+    .addItem('Gmail Import Settings…', 'setGmailImportSettings')
+    .addItem('Schedule Daily Run…', 'scheduleDailyRun')
+    .addItem('Run Daily Run Now', 'runDailyRunNow')
+    .addItem('Stop Daily Run', 'stopDailyRun')
     .addSeparator()
     .addItem('Load', 'loadToWorkArea')
     .addItem('Move', 'syncDashboardToLog')
+    .addItem('Undo Last Load', 'undoLastLoad')
+    .addItem('Undo Last Move', 'undoLastMove')
+    .addItem('Migrate Sent Log', 'migrateSentLog')
+    .addItem('Resolve Selected Issues', 'resolveSelectedIssues')
+    .addItem('Issue Aging…', 'showIssueAging')
+    .addItem('Expiring Archives…', 'showExpiringArchives')
+    .addSeparator()
+    .addItem('Preview & Send…', 'openPreviewSidebar')
+    .addItem('Send Selected', 'sendSelectedEmails')
+    .addItem('Send All Not Sent', 'sendAllNotSentEmails')
+    .addItem('Check Email Templates', 'checkEmailTemplates')
+    .addItem('Student History…', 'openStudentHistory')
     .addSeparator()
     .addItem('Verify & Fill Emails', 'verifyAndFillEmails')
     .addSeparator()
     .addItem('Verify from ClassNavi', 'verifyFromClassNavi')
+    .addItem('Verify All Dashboards from ClassNavi', 'verifyAllDashboardsFromClassNavi')
+    .addItem('Auto-Triage from ClassNavi', 'autoTriageWorkArea')
+    .addItem('Undo Last Triage', 'undoLastTriage')
+    .addItem('Sync Roster from ClassNavi', 'syncRosterFromClassNavi')
+    .addItem('Cancel ClassNavi Verify', 'cancelClassNaviVerify')
+    .addItem('ClassNavi Settings…', 'openClassNaviSettings')
+    .addSeparator()
+    .addItem('Set Up Workbook', 'setUpWorkbook')
+    .addItem('Health Check', 'healthCheck')
     .addToUi();
 }
 
@@ -74,20 +103,21 @@ function getChildFolderByName(parent, name) {
 }
 
 /**
- * Finds the most recently modified CSV in the folder whose name contains the subject (e.g. "Math" or "Reading").
+ * Finds the most recently modified import file (CSV, XLSX or Google Sheet) in the folder whose name
+ * contains the subject (e.g. "Math" or "Reading").
  * Expects filenames like: Study Analysis_US WEST VIRTUAL_Math_Feb 2026_Feb 2026_02042026.csv
  * @param {GoogleAppsScript.Drive.Folder} folder
  * @param {string} subject - "Math" or "Reading"
  * @returns {GoogleAppsScript.Drive.File|null}
  */
-function findLatestCsvBySubject(folder, subject) {
+function findLatestImportFileBySubject(folder, subject) {
   const files = folder.getFiles();
   let latest = null;
   let latestDate = 0;
   const subjectLower = subject.toLowerCase();
   while (files.hasNext()) {
     const file = files.next();
-    if (file.getMimeType() === 'text/csv' && file.getName().toLowerCase().indexOf(subjectLower) !== -1) {
+    if (isImportableFile(file) && file.getName().toLowerCase().indexOf(subjectLower) !== -1) {
       const date = file.getLastUpdated().getTime();
       if (date > latestDate) {
         latestDate = date;
@@ -98,25 +128,293 @@ function findLatestCsvBySubject(folder, subject) {
   return latest;
 }
 
+// --- Import file formats and required headers ---
+const IMPORT_MIME_XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const IMPORT_MIME_SHEETS = 'application/vnd.google-apps.spreadsheet';
+/**
+ * Columns every Math and Reading file must have (matched ignoring case, spaces, "#" and "_"): the Data-sheet
+ * columns the script reads by name. Email is read too (Load's last fallback) but may be missing.
+ */
+const IMPORT_REQUIRED_HEADERS = ['LoginID', 'Name'];
+
+/** CSV/TXT (any text type; Drive labels some CSVs as Excel), XLSX or Google Sheets. */
+function isImportableFile(file) {
+  const mime = file.getMimeType();
+  const name = file.getName().toLowerCase();
+  if (mime === IMPORT_MIME_XLSX || mime === IMPORT_MIME_SHEETS) return true;
+  if (mime === 'text/csv') return true;
+  return /\.(csv|txt)$/.test(name) && (mime.indexOf('text/') === 0 || mime === 'application/vnd.ms-excel' || mime === 'application/octet-stream');
+}
+
+/**
+ * Reads an import file into rows (header row first).
+ * XLSX is converted to a temporary Google Sheet with the Drive advanced service and read from its first tab.
+ * @param {GoogleAppsScript.Drive.File} file
+ * @returns {string[][]}
+ */
+function readImportRows(file) {
+  const mime = file.getMimeType();
+  if (mime === IMPORT_MIME_SHEETS) return readFirstSheetRows(file.getId());
+  if (mime === IMPORT_MIME_XLSX) {
+    const copy = Drive.Files.copy({ name: file.getName() + ' (import)', mimeType: IMPORT_MIME_SHEETS }, file.getId());
+    try {
+      return readFirstSheetRows(copy.id);
+    } finally {
+      DriveApp.getFileById(copy.id).setTrashed(true);
+    }
+  }
+  return parseImportCsv(decodeImportText(file.getBlob()));
+}
+
+/** Display values of the first tab of a Google Sheet, trailing empty rows dropped. */
+function readFirstSheetRows(spreadsheetId) {
+  const sheet = SpreadsheetApp.openById(spreadsheetId).getSheets()[0];
+  if (sheet.getLastRow() < 1 || sheet.getLastColumn() < 1) return [];
+  return sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getDisplayValues();
+}
+
+/**
+ * Text of a CSV blob: UTF-16 (with BOM, or without BOM when every other byte is zero) or UTF-8; BOM removed.
+ * @param {GoogleAppsScript.Base.Blob} blob
+ * @returns {string}
+ */
+function decodeImportText(blob) {
+  const bytes = blob.getBytes();
+  const b0 = bytes.length > 0 ? bytes[0] & 0xff : -1;
+  const b1 = bytes.length > 1 ? bytes[1] & 0xff : -1;
+  let charset = 'UTF-8';
+  if ((b0 === 0xff && b1 === 0xfe) || (b0 === 0xfe && b1 === 0xff)) {
+    charset = 'UTF-16';
+  } else if (bytes.length >= 4) {
+    let oddZeros = 0;
+    let evenZeros = 0;
+    const n = Math.min(bytes.length, 200);
+    for (let i = 0; i < n; i++) {
+      if (bytes[i] === 0) { if (i % 2) oddZeros++; else evenZeros++; }
+    }
+    if (oddZeros > n / 4 && evenZeros === 0) charset = 'UTF-16LE';
+    else if (evenZeros > n / 4 && oddZeros === 0) charset = 'UTF-16BE';
+  }
+  return blob.getDataAsString(charset).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Parses CSV text, picking comma, semicolon or tab from whichever appears most in the header line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseImportCsv(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  let delimiter = ',';
+  let best = (firstLine.match(/,/g) || []).length;
+  [';', '\t'].forEach(function (d) {
+    const count = firstLine.split(d).length - 1;
+    if (count > best) { best = count; delimiter = d; }
+  });
+  const rows = Utilities.parseCsv(text, delimiter);
+  while (rows.length > 0 && rows[rows.length - 1].every(function (v) { return String(v).trim() === ''; })) rows.pop();
+  return rows;
+}
+
+/**
+ * Throws when the header row lacks any of the required columns.
+ * @param {string[][]} rows
+ * @param {string} fileName - For the error message
+ */
+function validateImportHeaders(rows, fileName) {
+  if (rows.length === 0) throw new Error('"' + fileName + '" is empty.');
+  const missing = missingImportHeaders(rows[0]);
+  if (missing.length > 0) {
+    throw new Error('"' + fileName + '" is missing required column(s): ' + missing.join(', ') +
+      '. Found: ' + rows[0].filter(function (h) { return String(h).trim() !== ''; }).join(', ') + '. Nothing was imported.');
+  }
+}
+
+/** Header as compared with IMPORT_REQUIRED_HEADERS: lower case without spaces, "#" or "_". */
+function importHeaderKey(header) {
+  return String(header || '').toLowerCase().replace(/[\s#_]+/g, '');
+}
+
+/**
+ * Required headers that the header row lacks.
+ * @param {any[]} headerRow
+ * @returns {string[]}
+ */
+function missingImportHeaders(headerRow) {
+  const found = headerRow.map(importHeaderKey);
+  return IMPORT_REQUIRED_HEADERS.filter(function (h) { return found.indexOf(importHeaderKey(h)) === -1; });
+}
+
 /**
- * Imports a Drive CSV file into a sheet. Wipes any existing data and replaces with the CSV.
- * @param {GoogleAppsScript.Drive.File} csvFile
+ * Imports a Drive file (CSV, XLSX or Google Sheet) into a Data sheet after checking its headers.
+ * Wipes any existing data and replaces it with the file's rows.
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {string} sheetName - "Math Data" or "Reading Data"
+ * @returns {{ rows: number, changes: Object|null }} Data rows imported (excluding the header) and the change summary
+ */
+function importFileToSheet(file, sheetName) {
+  const rows = readImportRows(file);
+  validateImportHeaders(rows, file.getName());
+  const changes = writeImportRows(sheetName, rows);
+  return { rows: Math.max(rows.length - 1, 0), changes: changes };
+}
+
+/**
+ * Replaces a Data sheet with imported rows (header row first). Shared by the CSV and ClassNavi imports.
+ * Before overwriting, the old and new rows are compared by LoginID and listed on the "Data Changes" sheet.
  * @param {string} sheetName - "Math Data" or "Reading Data"
+ * @param {any[][]} rows
+ * @returns {{ added: number, removed: number, changed: number }|null} null when there was nothing to compare
  */
-function importCsvToSheet(csvFile, sheetName) {
+function writeImportRows(sheetName, rows) {
+  if (rows.length === 0) return null;
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let sheet = ss.getSheetByName(sheetName);
   if (!sheet) {
     sheet = ss.insertSheet(sheetName);
   }
-  const csvBlob = csvFile.getBlob();
-  const csvText = csvBlob.getDataAsString();
-  const rows = Utilities.parseCsv(csvText);
-  if (rows.length === 0) return;
+  // Raw values (dates, numbers); diffDataRows coerces them and the imported text to the same form
+  const oldRows = sheet.getLastRow() >= 1 && sheet.getLastColumn() >= 1
+    ? sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues()
+    : [];
+  const changes = diffDataRows(oldRows, rows);
+  if (changes) writeDataChanges(ss, sheetName.replace(/\s*Data$/i, ''), changes);
+  // Pad short rows (trailing delimiters dropped by some exports) so the range is rectangular
+  const width = rows.reduce(function (w, r) { return Math.max(w, r.length); }, 0);
+  rows = rows.map(function (r) { return r.length < width ? r.concat(new Array(width - r.length).fill('')) : r; });
   // Wipe entire sheet (content + formatting) and replace with imported data
   sheet.clear();
-  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
-  sheet.autoResizeColumns(1, rows[0].length);
+  sheet.getRange(1, 1, rows.length, width).setValues(rows);
+  sheet.autoResizeColumns(1, width);
+  return changes ? { added: changes.added.length, removed: changes.removed.length, changed: changes.changed.length } : null;
+}
+
+/** One-line summary of writeImportRows' result for import alerts. */
+function formatDataChanges(summary) {
+  if (!summary) return 'no earlier data to compare';
+  return summary.added + ' added, ' + summary.removed + ' removed, ' + summary.changed + ' changed';
+}
+
+// --- Data Changes: what changed in a Data sheet since the previous import ---
+const DATA_CHANGES_SHEET_NAME = 'Data Changes';
+const DATA_CHANGES_HEADERS = ['Imported', 'Subject', 'Change', 'LoginID', 'Name', 'Column', 'Old', 'New'];
+/** Columns compared for "Changed" rows: any header containing one of these words. */
+const DATA_CHANGE_KEY_WORDS = ['name', 'trigger', 'level', 'email', 'status'];
+
+/**
+ * Compares old and new Data rows (header row first) by LoginID.
+ * @param {any[][]} oldRows
+ * @param {any[][]} newRows
+ * @returns {{ added: Object[], removed: Object[], changed: Object[] }|null} null when either side has no LoginID column
+ */
+function diffDataRows(oldRows, newRows) {
+  if (oldRows.length === 0 || newRows.length === 0) return null;
+  function norm(h) { return String(h || '').trim().toLowerCase(); }
+  const oldHeaders = oldRows[0].map(norm);
+  const newHeaders = newRows[0].map(norm);
+  const oldIdCol = oldHeaders.indexOf('loginid');
+  const newIdCol = newHeaders.indexOf('loginid');
+  if (oldIdCol === -1 || newIdCol === -1) return null;
+  const oldNameCol = oldHeaders.indexOf('name');
+  const newNameCol = newHeaders.indexOf('name');
+
+  const keyCols = [];
+  for (let c = 0; c < newHeaders.length; c++) {
+    const h = newHeaders[c];
+    if (!h || c === newIdCol || oldHeaders.indexOf(h) === -1) continue;
+    if (DATA_CHANGE_KEY_WORDS.some(function (w) { return h.indexOf(w) !== -1; })) {
+      keyCols.push({ header: String(newRows[0][c]).trim(), newCol: c, oldCol: oldHeaders.indexOf(h) });
+    }
+  }
+  function same(a, b) {
+    return dataCellKey(a) === dataCellKey(b);
+  }
+  function byLoginId(rows, idCol) {
+    const map = {};
+    for (let r = 1; r < rows.length; r++) {
+      const id = String(rows[r][idCol] == null ? '' : rows[r][idCol]).trim();
+      if (id && !map[id]) map[id] = rows[r];
+    }
+    return map;
+  }
+  const oldById = byLoginId(oldRows, oldIdCol);
+  const newById = byLoginId(newRows, newIdCol);
+  const out = { added: [], removed: [], changed: [] };
+  for (const id in newById) {
+    const row = newById[id];
+    const name = newNameCol !== -1 ? row[newNameCol] : '';
+    if (!oldById[id]) {
+      out.added.push({ loginId: id, name: name });
+      continue;
+    }
+    for (let k = 0; k < keyCols.length; k++) {
+      const before = oldById[id][keyCols[k].oldCol];
+      const after = row[keyCols[k].newCol];
+      if (!same(before, after)) out.changed.push({ loginId: id, name: name, column: keyCols[k].header, before: before, after: after });
+    }
+  }
+  for (const id in oldById) {
+    if (!newById[id]) out.removed.push({ loginId: id, name: oldNameCol !== -1 ? oldById[id][oldNameCol] : '' });
+  }
+  return out;
+}
+
+/**
+ * Comparable form of a Data cell, whether it is a sheet value (Date, number) or imported text:
+ * "2/4/2026" and a Date → "2026-02-04"; "1,234", "$1,234" and 1234 → "1234"; "50%" and 0.5 → "0.5".
+ * @param {any} value
+ * @returns {string}
+ */
+function dataCellKey(value) {
+  function pad(n) { return ('0' + n).slice(-2); }
+  function dateKey(y, m, d, hh, mm) {
+    return y + '-' + pad(m) + '-' + pad(d) + (hh || mm ? ' ' + pad(hh) + ':' + pad(mm) : '');
+  }
+  function numberKey(n) { return String(parseFloat(n.toPrecision(12))); }
+  if (value == null) return '';
+  if (value instanceof Date) return dateKey(value.getFullYear(), value.getMonth() + 1, value.getDate(), value.getHours(), value.getMinutes());
+  if (typeof value === 'number') return numberKey(value);
+  const text = String(value).trim();
+  let m = /^(-?)\$?((?:\d{1,3}(?:,\d{3})+|\d*)(?:\.\d+)?)(%?)$/.exec(text);
+  if (m && /\d/.test(m[2])) {
+    const n = Number(m[2].replace(/,/g, '')) * (m[1] ? -1 : 1);
+    return numberKey(m[3] ? n / 100 : n);
+  }
+  m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::\d{2})?)?$/.exec(text);
+  if (m) return dateKey(Number(m[3]), Number(m[1]), Number(m[2]), Number(m[4] || 0), Number(m[5] || 0));
+  m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::\d{2})?)?$/.exec(text);
+  if (m) return dateKey(Number(m[1]), Number(m[2]), Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+  return text;
+}
+
+/**
+ * Replaces the subject's rows on the Data Changes sheet (created if missing) with the latest diff.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} subject - "Math" or "Reading"
+ * @param {{ added: Object[], removed: Object[], changed: Object[] }} changes
+ */
+function writeDataChanges(ss, subject, changes) {
+  let sheet = ss.getSheetByName(DATA_CHANGES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DATA_CHANGES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DATA_CHANGES_HEADERS.length).setValues([DATA_CHANGES_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  const lastRow = sheet.getLastRow();
+  const kept = lastRow >= 2
+    ? sheet.getRange(2, 1, lastRow - 1, DATA_CHANGES_HEADERS.length).getValues().filter(function (r) { return String(r[1]).trim() !== subject; })
+    : [];
+  const now = new Date();
+  const out = [];
+  changes.added.forEach(function (c) { out.push([now, subject, 'Added', c.loginId, c.name, '', '', '']); });
+  changes.removed.forEach(function (c) { out.push([now, subject, 'Removed', c.loginId, c.name, '', '', '']); });
+  changes.changed.forEach(function (c) { out.push([now, subject, 'Changed', c.loginId, c.name, c.column, c.before, c.after]); });
+  if (out.length === 0) out.push([now, subject, 'No changes', '', '', '', '', '']);
+  const all = kept.concat(out);
+  if (lastRow >= 2) sheet.getRange(2, 1, lastRow - 1, DATA_CHANGES_HEADERS.length).clearContent();
+  // Text format keeps LoginIDs and old/new values exactly as they appeared in the Data sheet
+  sheet.getRange(2, 4, all.length, DATA_CHANGES_HEADERS.length - 3).setNumberFormat('@');
+  sheet.getRange(2, 1, all.length, DATA_CHANGES_HEADERS.length).setValues(all);
 }
 
 /**
@@ -160,463 +458,1127 @@ function moveToArchive(file, archiveFolder) {
 }
 
 /**
- * Main import: reads Math and Reading CSVs from the import folder,
+ * Main import: reads Math and Reading files (CSV, XLSX or Google Sheets) from the import folder,
  * writes them to "Math Data" and "Reading Data", then moves the files to Archive/YYYY-MM-DD/.
  */
 function importFromDrive() {
+  showImportResult(runImportFromDrive(), runImportFromDrive);
+}
+
+/**
+ * Shows an import result. When files were refused (see Import History), offers to import them anyway.
+ * @param {Object} result - From runImportFromDrive / runImportFromGmail
+ * @param {function(Object): Object} rerun - Called with { subjects, override: true }
+ */
+function showImportResult(result, rerun) {
   const ui = SpreadsheetApp.getUi();
+  if (result.refused.length === 0) {
+    ui.alert(result.title, result.message, ui.ButtonSet.OK);
+    return;
+  }
+  const answer = ui.alert(
+    'Import refused',
+    result.message + '\n\nImport the refused file(s) anyway?',
+    ui.ButtonSet.YES_NO
+  );
+  if (answer !== ui.Button.YES) return;
+  const subjects = result.refused.map(function (r) { return r.subject; });
+  const overridden = rerun({ subjects: subjects, override: true });
+  ui.alert(overridden.title, overridden.message, ui.ButtonSet.OK);
+}
+
+/**
+ * Imports the newest Math and Reading files from the import folder and archives them.
+ * Files that match an earlier import (same content) or have an older report date than the last import
+ * are refused and left in the folder unless options.override is set. No UI, so the daily run can call it too.
+ * @param {{ subjects?: string[], override?: boolean }} [options] - subjects defaults to Math and Reading
+ * @returns {{ status: string, title: string, message: string, refused: { subject: string, reason: string }[], imported: string[] }}
+ *   status is OK, Warning (a file is missing or refused) or Error; imported lists the subjects that were imported
+ */
+function runImportFromDrive(options) {
+  options = options || {};
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
   const importFolder = getOrCreateImportFolder();
   const archiveFolder = getChildFolderByName(importFolder, ARCHIVE_FOLDER_NAME);
   const archiveDateFolder = getOrCreateArchiveDateFolder(archiveFolder);
-
-  const mathFile = findLatestCsvBySubject(importFolder, 'Math');
-  const readingFile = findLatestCsvBySubject(importFolder, 'Reading');
+  const subjects = options.subjects || ['Math', 'Reading'];
 
   const messages = [];
+  const refused = [];
+  let status = RUN_STATUS_OK;
+  const importedSubjects = [];
 
-  if (mathFile) {
+  for (let i = 0; i < subjects.length; i++) {
+    const subject = subjects[i];
+    const file = findLatestImportFileBySubject(importFolder, subject);
+    if (!file) {
+      messages.push(subject + ': no CSV, XLSX or Google Sheets file found in import folder');
+      if (status === RUN_STATUS_OK) status = RUN_STATUS_WARNING;
+      continue;
+    }
     try {
-      importCsvToSheet(mathFile, 'Math Data');
-      moveToArchive(mathFile, archiveDateFolder);
-      messages.push('Math: imported and archived "' + mathFile.getName() + '"');
+      const entry = describeImportFile(file, subject);
+      const reason = checkImportHistory(ss, entry);
+      if (reason && !options.override) {
+        refused.push({ subject: subject, reason: reason });
+        messages.push(subject + ': refused "' + file.getName() + '" - ' + reason);
+        if (status === RUN_STATUS_OK) status = RUN_STATUS_WARNING;
+        continue;
+      }
+      const imported = importFileToSheet(file, subject + ' Data');
+      entry.rows = imported.rows;
+      moveToArchive(file, archiveDateFolder);
+      entry.note = reason ? 'Imported anyway: ' + reason : '';
+      recordImportHistory(ss, entry);
+      importedSubjects.push(subject);
+      messages.push(subject + ': imported and archived "' + file.getName() + '" (' + entry.rows + ' rows)' +
+        '\n  Changes: ' + formatDataChanges(imported.changes));
     } catch (e) {
-      messages.push('Math: error - ' + e.message);
+      messages.push(subject + ': error - ' + e.message);
+      status = RUN_STATUS_ERROR;
     }
-  } else {
-    messages.push('Math: no CSV file found in import folder');
   }
 
-  if (readingFile) {
+  // Retention only runs after a clean import, so a failing or empty run never trims the archive it may need
+  if (importedSubjects.length > 0 && status !== RUN_STATUS_ERROR) {
     try {
-      importCsvToSheet(readingFile, 'Reading Data');
-      moveToArchive(readingFile, archiveDateFolder);
-      messages.push('Reading: imported and archived "' + readingFile.getName() + '"');
+      const trashed = trashExpiredArchiveFolders();
+      if (trashed.length > 0) messages.push('Archive: trashed ' + trashed.length + ' folder(s) past the retention period');
     } catch (e) {
-      messages.push('Reading: error - ' + e.message);
+      messages.push('Archive: retention error - ' + e.message);
     }
-  } else {
-    messages.push('Reading: no CSV file found in import folder');
   }
 
-  ui.alert('Import from Drive', messages.join('\n'), ui.ButtonSet.OK);
+  return { status: status, title: 'Import from Drive', message: messages.join('\n'), refused: refused, imported: importedSubjects };
 }
 
-// --- Dashboard → Sent Log / Issue Log (button entry point) ---
-// Sent Log: A–D = Math (LoginID, Name, Trigger #, Date), E–H = Reading (same). Issue Log: separate sheet, 7 cols.
+// --- Import History: one row per imported file; refuses duplicates and older reports ---
+const IMPORT_HISTORY_SHEET_NAME = 'Import History';
+const IMPORT_HISTORY_HEADERS = ['Imported', 'Subject', 'File Name', 'Drive ID', 'Report Date', 'Rows', 'Content Hash (SHA-256)', 'Imported By', 'Note'];
 
-const SENT_LOG_SHEET_NAME = 'Sent Log';
-const ISSUE_LOG_SHEET_NAME = 'Issue Log';
-const ISSUE_LOG_HEADERS = ['Subject', 'LoginID', 'Name', 'Trigger Number', 'Note', 'Date', 'Tag'];
-const TAG_ISSUE = 'Issue';
-const TAG_ISSUE_ARCHIVE = 'Issue - Archive';
+/**
+ * Ledger entry for a file about to be imported (rows and note are filled in after the import).
+ * @param {GoogleAppsScript.Drive.File} file
+ * @param {string} subject
+ * @returns {{ subject: string, fileName: string, fileId: string, reportDate: Date|null, hash: string, rows: number, note: string }}
+ */
+function describeImportFile(file, subject) {
+  // Google Sheets have no file bytes of their own, so their cell values are hashed instead
+  const content = file.getMimeType() === IMPORT_MIME_SHEETS ? JSON.stringify(readFirstSheetRows(file.getId())) : file.getBlob().getBytes();
+  return { subject: subject, fileName: file.getName(), fileId: file.getId(), reportDate: parseReportDate(file.getName()), hash: importContentHash(content), rows: 0, note: '' };
+}
 
-/** Expected dashboard headers. Status: Not Sent, Issue, Issue - Archive, Sent. */
-const DASHBOARD_HEADERS = ['LoginID', 'Name', 'Trigger #', 'Email', 'Status', 'Notes'];
+/** SHA-256 of file bytes (or text) as hex, as stored in Import History. */
+function importContentHash(content) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, content);
+  return digest.map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); }).join('');
+}
 
 /**
- * Syncs the current dashboard to Sent Log and Issue Log.
- * - "Sent" → Sent Log (Math A–D or Reading E–H), Date in D or H.
- * - "Issue" → Issue Log with Tag "Issue". "Issue - Archive" → Issue Log with Tag "Issue - Archive".
+ * Report date from the filename suffix, e.g. "…_Feb 2026_02042026.csv" → Feb 4, 2026 (MMDDYYYY).
+ * @param {string} fileName
+ * @returns {Date|null}
  */
-function syncDashboardToLog() {
+function parseReportDate(fileName) {
+  const m = /_(\d{2})(\d{2})(\d{4})(?:\.[^.]*)?$/.exec(String(fileName || ''));
+  if (!m) return null;
+  const month = Number(m[1]);
+  const day = Number(m[2]);
+  const d = new Date(Number(m[3]), month - 1, day);
+  if (d.getMonth() !== month - 1 || d.getDate() !== day) return null;
+  return d;
+}
+
+/**
+ * Why the file should not be imported: same content as an earlier import for the subject, or a report date
+ * older than the newest one imported. Empty string when it is fine.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Object} entry - From describeImportFile
+ * @returns {string}
+ */
+function checkImportHistory(ss, entry) {
+  const sheet = ss.getSheetByName(IMPORT_HISTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return '';
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, IMPORT_HISTORY_HEADERS.length).getValues();
+  let newest = null;
+  for (let r = 0; r < data.length; r++) {
+    if (String(data[r][1]).trim() !== entry.subject) continue;
+    if (String(data[r][6]).trim() === entry.hash) {
+      const when = data[r][0] instanceof Date ? Utilities.formatDate(data[r][0], ss.getSpreadsheetTimeZone(), 'yyyy-MM-dd HH:mm') : String(data[r][0]);
+      return 'same content as "' + data[r][2] + '" imported ' + when;
+    }
+    const reportDate = data[r][4];
+    if (reportDate instanceof Date && (!newest || reportDate.getTime() > newest.getTime())) newest = reportDate;
+  }
+  if (entry.reportDate && newest && entry.reportDate.getTime() < newest.getTime()) {
+    const tz = ss.getSpreadsheetTimeZone();
+    return 'report date ' + Utilities.formatDate(entry.reportDate, tz, 'yyyy-MM-dd') + ' is older than the last import (' + Utilities.formatDate(newest, tz, 'yyyy-MM-dd') + ')';
+  }
+  return '';
+}
+
+/**
+ * Appends an entry to the Import History sheet (created if missing).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Object} entry - From describeImportFile, with rows and note set
+ */
+function recordImportHistory(ss, entry) {
+  let sheet = ss.getSheetByName(IMPORT_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(IMPORT_HISTORY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, IMPORT_HISTORY_HEADERS.length).setValues([IMPORT_HISTORY_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  const user = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+  sheet.appendRow([new Date(), entry.subject, entry.fileName, entry.fileId, entry.reportDate || '', entry.rows, entry.hash, user, entry.note]);
+}
+
+// --- Import from Gmail: saves report attachments into the import folder, then runs the Drive import ---
+const GMAIL_IMPORT_QUERY_PROP = 'GMAIL_IMPORT_QUERY';
+const GMAIL_IMPORT_SCHEDULED_PROP = 'GMAIL_IMPORT_SCHEDULED';
+const GMAIL_IMPORT_DEFAULT_QUERY = 'has:attachment subject:"Study Analysis" newer_than:14d';
+const GMAIL_IMPORT_LABEL = 'KNA Imported';
+const GMAIL_IMPORT_MAX_THREADS = 50;
+
+/** Menu: pulls new report attachments from Gmail, then imports them like Import from Drive. */
+function importFromGmail() {
+  const ui = SpreadsheetApp.getUi();
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getActiveSheet();
-    const name = sheet.getName();
-    debugLog('Move', 'syncDashboardToLog start', { sheet: name });
+    const result = runImportFromGmail({ keepRefused: true });
+    showImportResult(result, runImportFromDrive);
+    // Copies still in the folder were refused and not imported anyway; the email keeps the original
+    trashRefusedGmailCopies(result.gmailFiles, result.refused);
+  } catch (e) {
+    debugLog('Import', 'Gmail import ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Import from Gmail error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
 
-    const isMath = name.toLowerCase().indexOf('math') !== -1;
-    const isReading = name.toLowerCase().indexOf('reading') !== -1;
-    const isDashboard = name.toLowerCase().indexOf('dashboard') !== -1;
+/**
+ * Saves the newest Math and Reading attachments from unprocessed emails matching the query into the
+ * import folder, runs runImportFromDrive, then labels the threads whose subjects are done with. No UI.
+ * A subject is done when it was imported, or Import History refused it (it already has that or a newer report).
+ * Refused copies are trashed so they are not refused again on every run, unless options.keepRefused is set.
+ * @param {{ keepRefused?: boolean }} [options] - keepRefused: the caller offers "Import anyway" and trashes them after
+ * @returns {{ status: string, title: string, message: string, refused: Object[], imported: string[], gmailFiles: Object[] }}
+ */
+function runImportFromGmail(options) {
+  options = options || {};
+  const gmail = saveGmailAttachmentsToImportFolder();
+  const result = runImportFromDrive();
+  const done = result.imported.concat(gmail.done, result.refused.map(function (r) { return r.subject; }));
+  const labelled = labelGmailImportThreads(gmail.threads, done);
+  if (!options.keepRefused) trashRefusedGmailCopies(gmail.files, result.refused);
+  result.title = 'Import from Gmail';
+  result.gmailFiles = gmail.files;
+  result.message = (gmail.saved.length > 0 ? 'Gmail: saved ' + gmail.saved.join(', ') : 'Gmail: no new report emails') +
+    (gmail.threads.length > 0 ? ' (' + labelled + ' of ' + gmail.threads.length + ' email thread(s) labelled "' + GMAIL_IMPORT_LABEL + '")' : '') +
+    (gmail.skipped.length > 0 ? '\nGmail: not saved ' + gmail.skipped.join(', ') : '') +
+    '\n' + result.message;
+  return result;
+}
 
-    if (!isDashboard || (!isMath && !isReading)) {
-      SpreadsheetApp.getUi().alert(
-        'Wrong sheet',
-        'Please run this from "Math Dashboard" or "Reading Dashboard".',
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
-      return;
+/**
+ * Finds unprocessed emails matching the Gmail import query and saves the newest Math and Reading
+ * attachment into the import folder. An attachment is not saved when a file of that name is already in the
+ * folder, or when Import History would refuse it (that subject is then done). Nothing is labelled here;
+ * see labelGmailImportThreads.
+ * @returns {{ saved: string[], skipped: string[], done: string[], files: { subject: string, file: GoogleAppsScript.Drive.File }[], threads: { thread: GoogleAppsScript.Gmail.GmailThread, subjects: string[] }[] }}
+ *   Names saved and skipped (with the reason), subjects done without an import, the saved files, and every
+ *   thread with a report attachment and the subjects it had
+ */
+function saveGmailAttachmentsToImportFolder() {
+  const query = PropertiesService.getDocumentProperties().getProperty(GMAIL_IMPORT_QUERY_PROP) || GMAIL_IMPORT_DEFAULT_QUERY;
+  const threads = GmailApp.search(query + ' -label:"' + GMAIL_IMPORT_LABEL + '"', 0, GMAIL_IMPORT_MAX_THREADS);
+  const newest = {};
+  const matchedThreads = [];
+  for (let t = 0; t < threads.length; t++) {
+    const messages = threads[t].getMessages();
+    const subjects = [];
+    for (let m = 0; m < messages.length; m++) {
+      const attachments = messages[m].getAttachments();
+      for (let a = 0; a < attachments.length; a++) {
+        const name = attachments[a].getName();
+        if (!/\.(csv|txt|xlsx)$/i.test(name)) continue;
+        const lower = name.toLowerCase();
+        const subject = lower.indexOf('math') !== -1 ? 'Math' : (lower.indexOf('reading') !== -1 ? 'Reading' : null);
+        if (!subject) continue;
+        if (subjects.indexOf(subject) === -1) subjects.push(subject);
+        const date = messages[m].getDate().getTime();
+        if (!newest[subject] || date > newest[subject].date) newest[subject] = { date: date, attachment: attachments[a] };
+      }
     }
+    if (subjects.length > 0) matchedThreads.push({ thread: threads[t], subjects: subjects });
+  }
 
-    const subject = isMath ? 'Math' : 'Reading';
-    let sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME);
-    if (!sentLog) {
-      sentLog = ss.insertSheet(SENT_LOG_SHEET_NAME);
-      sentLog.getRange(1, 1, 1, 4).setValues([['Math LoginID', 'Math Name', 'Math Trigger #', 'Date']]);
-      sentLog.getRange(1, 5, 1, 8).setValues([['Reading LoginID', 'Reading Name', 'Reading Trigger #', 'Date']]);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const importFolder = getOrCreateImportFolder();
+  const saved = [];
+  const skipped = [];
+  const done = [];
+  const files = [];
+  for (const subject in newest) {
+    const blob = newest[subject].attachment.copyBlob();
+    const name = blob.getName();
+    const reason = checkImportHistory(ss, { subject: subject, hash: importContentHash(blob.getBytes()), reportDate: parseReportDate(name) });
+    if (reason) {
+      skipped.push('"' + name + '" (' + reason + ')');
+      done.push(subject);
+      continue;
     }
-    let issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
-    if (!issueLog) {
-      issueLog = ss.insertSheet(ISSUE_LOG_SHEET_NAME);
-      issueLog.getRange(1, 1, 1, ISSUE_LOG_HEADERS.length).setValues([ISSUE_LOG_HEADERS]);
+    if (hasUntrashedFileNamed(importFolder, name)) {
+      skipped.push('"' + name + '" (already in the import folder)');
+      continue;
     }
+    if (/\.xlsx$/i.test(name)) blob.setContentType(IMPORT_MIME_XLSX);
+    else blob.setContentType('text/csv');
+    files.push({ subject: subject, file: importFolder.createFile(blob) });
+    saved.push('"' + name + '"');
+  }
+  debugLog('Import', 'Gmail attachments saved', { query: query, threads: matchedThreads.length, saved: saved, skipped: skipped });
+  return { saved: saved, skipped: skipped, done: done, files: files, threads: matchedThreads };
+}
 
-    const headerRow = sheet.getRange(2, 1, 2, sheet.getLastColumn()).getValues()[0];
-    const col = getColumnIndices(headerRow);
-    if (col.status >= 4) {
-      col.loginId = col.status - 4;
-      col.name = col.status - 3;
-      col.triggerNum = col.status - 1;
-    }
+/** True when the folder holds a file with exactly this name that is not in the trash. */
+function hasUntrashedFileNamed(folder, name) {
+  const files = folder.getFilesByName(name);
+  while (files.hasNext()) {
+    if (!files.next().isTrashed()) return true;
+  }
+  return false;
+}
 
-    if (!col.loginId || !col.status) {
-      SpreadsheetApp.getUi().alert(
-        'Missing headers',
-        'Dashboard must have headers for I–N (LoginID, Name, Trigger #, Email, Status, Notes) in row 2.',
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
-      return;
+/**
+ * Trashes the Gmail copies of refused subjects that are still in the import folder (an "Import anyway"
+ * moves a copy to the archive, so it is kept). The original stays in the email.
+ * @param {{ subject: string, file: GoogleAppsScript.Drive.File }[]} files - From saveGmailAttachmentsToImportFolder
+ * @param {{ subject: string }[]} refused - From runImportFromDrive
+ */
+function trashRefusedGmailCopies(files, refused) {
+  const importFolderId = getOrCreateImportFolder().getId();
+  const refusedSubjects = refused.map(function (r) { return r.subject; });
+  for (let i = 0; i < files.length; i++) {
+    if (refusedSubjects.indexOf(files[i].subject) === -1) continue;
+    const file = files[i].file;
+    let inFolder = false;
+    const parents = file.getParents();
+    while (parents.hasNext()) {
+      if (parents.next().getId() === importFolderId) inFolder = true;
     }
+    if (inFolder && !file.isTrashed()) file.setTrashed(true);
+  }
+}
 
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 3) return;
+/**
+ * Labels the threads whose report subjects are all done with, so a failed import is picked up again next time.
+ * Older reports for a done subject are labelled too, since the newer one replaced them.
+ * @param {{ thread: GoogleAppsScript.Gmail.GmailThread, subjects: string[] }[]} threads - From saveGmailAttachmentsToImportFolder
+ * @param {string[]} doneSubjects - Imported, or refused by Import History
+ * @returns {number} Threads labelled
+ */
+function labelGmailImportThreads(threads, doneSubjects) {
+  const done = threads.filter(function (t) {
+    return t.subjects.every(function (subject) { return doneSubjects.indexOf(subject) !== -1; });
+  }).map(function (t) { return t.thread; });
+  if (done.length === 0) return 0;
+  const label = GmailApp.getUserLabelByName(GMAIL_IMPORT_LABEL) || GmailApp.createLabel(GMAIL_IMPORT_LABEL);
+  label.addToThreads(done);
+  return done.length;
+}
 
-    const issueRows = [];
-    const issueSheetRows = [];
-    const sentMathRows = [];
-    const sentMathSheetRows = [];
-    const sentReadingRows = [];
-    const sentReadingSheetRows = [];
-
-    const dataRange = sheet.getRange(3, 1, lastRow, sheet.getLastColumn());
-    const rows = dataRange.getValues();
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const loginId = row[col.loginId - 1];
-      if (loginId === null || loginId === undefined || String(loginId).trim() === '') continue;
-
-      const status = String((row[col.status - 1] || '')).trim();
-      if (status === '' || status.toLowerCase() === 'not sent') continue;
-
-      const studentName = row[col.name - 1];
-      const triggerNum = row[col.triggerNum - 1];
-      const note = (col.notes && row[col.notes - 1] != null) ? row[col.notes - 1] : '';
-
-      const statusLower = status.toLowerCase();
-      if (statusLower === 'issue' || statusLower === 'issue - archive') {
-        const tag = statusLower === 'issue - archive' ? TAG_ISSUE_ARCHIVE : TAG_ISSUE;
-        issueRows.push([subject, loginId, studentName, triggerNum, note, tag]);
-        issueSheetRows.push(3 + i);
-      } else if (statusLower === 'sent') {
-        if (isMath) {
-          sentMathRows.push([loginId, studentName, triggerNum]);
-          sentMathSheetRows.push(3 + i);
-        } else {
-          sentReadingRows.push([loginId, studentName, triggerNum]);
-          sentReadingSheetRows.push(3 + i);
-        }
-      }
+/** Menu: sets the Gmail search query and whether the daily run checks Gmail first. */
+function setGmailImportSettings() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getDocumentProperties();
+  const current = props.getProperty(GMAIL_IMPORT_QUERY_PROP) || GMAIL_IMPORT_DEFAULT_QUERY;
+  const response = ui.prompt(
+    'Gmail Import Settings',
+    'Gmail search for the report emails (same syntax as the Gmail search box). Leave blank for the default.\n\nCurrently: ' + current +
+    '\n\nThreads already labelled "' + GMAIL_IMPORT_LABEL + '" are skipped.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const query = response.getResponseText().trim();
+  if (query) props.setProperty(GMAIL_IMPORT_QUERY_PROP, query);
+  else props.deleteProperty(GMAIL_IMPORT_QUERY_PROP);
+  const scheduled = ui.alert(
+    'Gmail Import Settings',
+    'Should the daily run check Gmail before importing from the Drive folder?',
+    ui.ButtonSet.YES_NO
+  ) === ui.Button.YES;
+  props.setProperty(GMAIL_IMPORT_SCHEDULED_PROP, scheduled ? 'true' : 'false');
+  ui.alert('Gmail Import Settings', 'Query: ' + (query || GMAIL_IMPORT_DEFAULT_QUERY) + '\nDaily run checks Gmail: ' + (scheduled ? 'yes' : 'no'), ui.ButtonSet.OK);
+}
+
+// --- Import from Archive + archive retention ---
+const ARCHIVE_RETENTION_PROP = 'ARCHIVE_RETENTION_DAYS';
+const ARCHIVE_LIST_MAX_FOLDERS = 90;      // newest date folders shown in the dialog
+
+/** Menu: dialog listing archived Math/Reading files by date (ImportFromArchive.html). */
+function openImportFromArchive() {
+  const html = HtmlService.createHtmlOutputFromFile('ImportFromArchive').setWidth(520).setHeight(420);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Import from Archive');
+}
+
+/**
+ * Archive date folders, newest first, with the Math and Reading import files in each (for the dialog).
+ * @returns {{ date: string, math: { id: string, name: string }[], reading: { id: string, name: string }[] }[]}
+ */
+function getArchiveListing() {
+  const archiveFolder = getChildFolderByName(getOrCreateImportFolder(), ARCHIVE_FOLDER_NAME);
+  const folders = archiveFolder.getFolders();
+  const out = [];
+  while (folders.hasNext()) {
+    const folder = folders.next();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(folder.getName())) continue;
+    out.push({ date: folder.getName(), folder: folder });
+  }
+  out.sort(function (a, b) { return a.date < b.date ? 1 : (a.date > b.date ? -1 : 0); });
+  return out.slice(0, ARCHIVE_LIST_MAX_FOLDERS).map(function (entry) {
+    const item = { date: entry.date, math: [], reading: [] };
+    const files = entry.folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      if (!isImportableFile(file)) continue;
+      const lower = file.getName().toLowerCase();
+      if (lower.indexOf('math') !== -1) item.math.push({ id: file.getId(), name: file.getName() });
+      else if (lower.indexOf('reading') !== -1) item.reading.push({ id: file.getId(), name: file.getName() });
     }
+    return item;
+  }).filter(function (item) { return item.math.length > 0 || item.reading.length > 0; });
+}
 
-    const todayCell = sentLog.getRange(1, 20);
-    todayCell.setFormula('=TODAY()');
-    SpreadsheetApp.flush();
-    const today = todayCell.getValue();
-    todayCell.clearContent();
-
-    if (sentMathRows.length > 0) {
-      const nextRow = getNextLogRow(sentLog, 1) + 1;
-      const numRows = sentMathRows.length;
-      sentLog.getRange(nextRow, 1, numRows, 3).setValues(sentMathRows);
-      const dateCol = [];
-      for (let i = 0; i < numRows; i++) dateCol.push([today]);
-      sentLog.getRange(nextRow, 4, dateCol.length, 1).setValues(dateCol);
-    }
-    if (sentReadingRows.length > 0) {
-      const nextRow = getNextLogRow(sentLog, 5) + 1;
-      const numRows = sentReadingRows.length;
-      sentLog.getRange(nextRow, 5, numRows, 3).setValues(sentReadingRows);
-      const dateCol = [];
-      for (let i = 0; i < numRows; i++) dateCol.push([today]);
-      sentLog.getRange(nextRow, 8, dateCol.length, 1).setValues(dateCol);
+/**
+ * Re-imports archived files into the Data sheets through importFileToSheet. Files stay where they are.
+ * The restore is logged in Import History; the duplicate/older-date check does not apply because the
+ * file was picked on purpose.
+ * @param {string} mathFileId - Empty to leave Math Data alone
+ * @param {string} readingFileId - Empty to leave Reading Data alone
+ * @returns {string} Summary for the dialog
+ */
+function importFromArchive(mathFileId, readingFileId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const picks = [{ subject: 'Math', id: mathFileId }, { subject: 'Reading', id: readingFileId }];
+  const messages = [];
+  for (let i = 0; i < picks.length; i++) {
+    if (!picks[i].id) continue;
+    const subject = picks[i].subject;
+    try {
+      const file = DriveApp.getFileById(picks[i].id);
+      const entry = describeImportFile(file, subject);
+      const imported = importFileToSheet(file, subject + ' Data');
+      entry.rows = imported.rows;
+      const parents = file.getParents();
+      entry.note = 'Restored from archive' + (parents.hasNext() ? ' ' + parents.next().getName() : '');
+      recordImportHistory(ss, entry);
+      messages.push(subject + ': re-imported "' + file.getName() + '" (' + entry.rows + ' rows). Changes: ' + formatDataChanges(imported.changes));
+    } catch (e) {
+      debugLog('Import', 'archive import ERROR', { subject: subject, message: e.message });
+      messages.push(subject + ': error - ' + e.message);
     }
+  }
+  if (messages.length === 0) throw new Error('Pick a Math and/or Reading file to import.');
+  return messages.join('\n');
+}
 
-    if (issueRows.length > 0) {
-      const nextRow = getNextLogRow(issueLog, 1) + 1;
-      const numRows = issueRows.length;
-      const issueData = [];
-      for (let i = 0; i < numRows; i++) {
-        const r = issueRows[i];
-        issueData.push([r[0], r[1], r[2], r[3], r[4], today, r[5]]);
-      }
-      issueLog.getRange(nextRow, 1, issueData.length, ISSUE_LOG_HEADERS.length).setValues(issueData);
-      for (let r = 0; r < issueSheetRows.length; r++) {
-        const sheetRow = issueSheetRows[r];
-        sheet.getRange(sheetRow, col.status).clearContent();
-        if (col.notes) sheet.getRange(sheetRow, col.notes).clearContent();
-      }
+/** Menu: sets how many days dated archive folders are kept (blank or 0 keeps them forever). */
+function setArchiveRetention() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getDocumentProperties();
+  const current = props.getProperty(ARCHIVE_RETENTION_PROP);
+  const response = ui.prompt(
+    'Archive Retention',
+    'Move Archive/YYYY-MM-DD folders older than this many days to the Drive trash after each import.\n' +
+    'Leave blank or enter 0 to keep them forever.' + (current ? '\nCurrently: ' + current + ' days.' : '\nCurrently: keep forever.'),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const text = response.getResponseText().trim();
+  if (text === '' || text === '0') {
+    props.deleteProperty(ARCHIVE_RETENTION_PROP);
+    ui.alert('Archive Retention', 'Archive folders will be kept forever.', ui.ButtonSet.OK);
+    return;
+  }
+  if (!/^\d+$/.test(text)) {
+    ui.alert('Invalid number', 'Enter a whole number of days.', ui.ButtonSet.OK);
+    return;
+  }
+  props.setProperty(ARCHIVE_RETENTION_PROP, text);
+  const trashed = trashExpiredArchiveFolders();
+  ui.alert('Archive Retention', 'Archive folders older than ' + text + ' days are trashed after each successful import.' +
+    (trashed.length > 0 ? '\n\nTrashed now: ' + trashed.join(', ') : ''), ui.ButtonSet.OK);
+}
+
+/**
+ * Trashes dated archive folders older than the retention setting (nothing when it is not set).
+ * @returns {string[]} Names of the trashed folders
+ */
+function trashExpiredArchiveFolders() {
+  const days = Number(PropertiesService.getDocumentProperties().getProperty(ARCHIVE_RETENTION_PROP) || 0);
+  if (!days) return [];
+  const archiveFolder = getChildFolderByName(getOrCreateImportFolder(), ARCHIVE_FOLDER_NAME);
+  const cutoff = new Date();
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - days);
+  const trashed = [];
+  const folders = archiveFolder.getFolders();
+  while (folders.hasNext()) {
+    const folder = folders.next();
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(folder.getName());
+    if (!m) continue;
+    if (new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])).getTime() < cutoff.getTime()) {
+      folder.setTrashed(true);
+      trashed.push(folder.getName());
     }
+  }
+  if (trashed.length > 0) debugLog('Import', 'trashed expired archive folders', { days: days, folders: trashed });
+  return trashed;
+}
 
-    const rowsToDelete = issueSheetRows.concat(sentMathSheetRows || [], sentReadingSheetRows || []);
-    if (rowsToDelete.length > 0) {
-      const sorted = rowsToDelete.slice().sort(function (a, b) { return b - a; });
-      for (let d = 0; d < sorted.length; d++) {
-        sheet.deleteRow(sorted[d]);
-      }
+// --- Daily run: Import → Load → (optional) ClassNavi verify on a time-driven trigger ---
+// Results go to the "Run Log" sheet instead of alerts. Settings are per spreadsheet (Document Properties);
+// the trigger runs as the user who scheduled it, so their ClassNavi login is the one used.
+const RUN_LOG_SHEET_NAME = 'Run Log';
+const RUN_LOG_HEADERS = ['Time', 'Run', 'Step', 'Status', 'Message'];
+const RUN_LOG_KEEP = 500;                 // newest rows kept
+const RUN_STATUS_OK = 'OK';
+const RUN_STATUS_WARNING = 'Warning';
+const RUN_STATUS_ERROR = 'Error';
+const DAILY_RUN_HANDLER = 'runScheduledDailyRun';
+const DAILY_RUN_PROP_HOUR = 'DAILY_RUN_HOUR';
+const DAILY_RUN_PROP_VERIFY = 'DAILY_RUN_VERIFY';
+
+/** Time-driven trigger handler for the daily run. */
+function runScheduledDailyRun() {
+  const props = PropertiesService.getDocumentProperties();
+  runDailyPipeline('Scheduled', props.getProperty(DAILY_RUN_PROP_VERIFY) === 'true');
+}
+
+/** Menu: runs the daily steps now and shows where the results went. */
+function runDailyRunNow() {
+  const ui = SpreadsheetApp.getUi();
+  const verify = PropertiesService.getDocumentProperties().getProperty(DAILY_RUN_PROP_VERIFY) === 'true';
+  const results = runDailyPipeline('Manual', verify);
+  ui.alert(
+    'Daily run finished',
+    results.map(function (r) { return r.title + ': ' + r.status; }).join('\n') + '\n\nDetails are in the "' + RUN_LOG_SHEET_NAME + '" sheet.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Import from Drive (after saving new Gmail attachments, if that is turned on), then Load, then (optionally)
+ * starts a ClassNavi verify of both dashboards.
+ * Each step is logged to the Run Log; a failed step is logged and the next one still runs, except that
+ * Load is skipped when the import failed so the dashboards are not rebuilt from half-imported data.
+ * @param {string} runName - "Scheduled" or "Manual"
+ * @param {boolean} verify
+ * @returns {{ status: string, title: string, message: string }[]}
+ */
+function runDailyPipeline(runName, verify) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const results = [];
+  function step(title, fn) {
+    let result;
+    try {
+      result = fn();
+    } catch (e) {
+      debugLog('Daily run', 'ERROR in ' + title, { message: e.message, stack: e.stack });
+      result = { status: RUN_STATUS_ERROR, title: title, message: e.message };
     }
+    result.title = title;
+    appendRunLog(ss, runName, title, result.status, result.message);
+    results.push(result);
+    return result;
+  }
 
-    const msg = [
-      subject + ' Dashboard → Sent Log / Issue Log',
-      'Sent: ' + (isMath ? sentMathRows.length : sentReadingRows.length),
-      'Issues: ' + issueRows.length,
-      rowsToDelete.length > 0 ? 'Rows removed from sheet.' : ''
-    ].join('\n');
-    debugLog('Move', 'complete', { sheet: name, sent: isMath ? sentMathRows.length : sentReadingRows.length, issues: issueRows.length });
-    SpreadsheetApp.getUi().alert('Move complete', msg, SpreadsheetApp.getUi().ButtonSet.OK);
-  } catch (e) {
-    debugLog('Move', 'ERROR', { message: e.message, stack: e.stack });
-    SpreadsheetApp.getUi().alert('Move error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
-    throw e;
+  const fromGmail = PropertiesService.getDocumentProperties().getProperty(GMAIL_IMPORT_SCHEDULED_PROP) === 'true';
+  const imported = step('Import', fromGmail ? runImportFromGmail : runImportFromDrive);
+  // An unattended Load only runs on fresh data: a failed, refused or missing import leaves the work areas alone
+  if (imported.status !== RUN_STATUS_OK) {
+    const skipped = 'Skipped because the import ' + (imported.status === RUN_STATUS_ERROR ? 'failed' : 'did not bring in new data for every subject') + '.';
+    results.push({ status: RUN_STATUS_WARNING, title: 'Load', message: skipped });
+    appendRunLog(ss, runName, 'Load', RUN_STATUS_WARNING, skipped);
+  } else {
+    step('Load', runLoadToWorkArea);
   }
+  step('Expiring archives', function () { return runExpiringArchivesReport(); });
+  if (verify) step('Verify', runClassNaviVerifyHeadless);
+  return results;
 }
 
-// Issue Log sheet: 7 columns = Subject, LoginID, Name, Trigger Number, Note, Date, Tag
-const ISSUE_LOG_NUM_COLS = 7;
-
 /**
- * Looks up email subject line from triggers worksheet by trigger number.
+ * Appends one row to the Run Log (created if missing) and trims it to RUN_LOG_KEEP rows.
  * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
- * @param {string} subject - "Math" or "Reading"
- * @param {number|string} triggerNum
- * @returns {string}
  */
-function getEmailFromTriggersSheet(ss, subject, triggerNum) {
-  if (triggerNum == null || triggerNum === '') return '';
-  const triggerStr = String(triggerNum).trim();
-  if (!triggerStr) return '';
-  
-  // Try to find triggers sheet - check ALL sheets with "trigger" in name
-  const sheets = ss.getSheets();
-  const triggersSheets = [];
-  const subjectLower = subject.toLowerCase();
-  
-  // First try subject-specific triggers sheet, then any triggers sheet
-  for (let i = 0; i < sheets.length; i++) {
-    const name = sheets[i].getName().toLowerCase();
-    if (name.indexOf('trigger') !== -1) {
-      if (name.indexOf(subjectLower) !== -1) {
-        triggersSheets.unshift(sheets[i]); // Subject-specific first
-      } else {
-        triggersSheets.push(sheets[i]); // Generic triggers sheet
-      }
-    }
+function appendRunLog(ss, runName, stepName, status, message) {
+  let sheet = ss.getSheetByName(RUN_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(RUN_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RUN_LOG_HEADERS.length).setValues([RUN_LOG_HEADERS]);
+    sheet.setFrozenRows(1);
   }
-  
-  if (triggersSheets.length === 0) {
-    debugLog('Triggers', 'no triggers sheet found', { subject: subject, triggerNum: triggerNum });
-    return '';
+  sheet.appendRow([new Date(), runName, stepName, status, String(message || '')]);
+  const extra = sheet.getLastRow() - 1 - RUN_LOG_KEEP;
+  if (extra > 0) sheet.deleteRows(2, extra);
+}
+
+/** Menu: asks for the hour and whether to verify, then installs (or replaces) the daily trigger. */
+function scheduleDailyRun() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const props = PropertiesService.getDocumentProperties();
+  const currentHour = props.getProperty(DAILY_RUN_PROP_HOUR);
+  const response = ui.prompt(
+    'Schedule Daily Run',
+    'Hour to run Import → Load each day (0–23, spreadsheet time zone ' + ss.getSpreadsheetTimeZone() + ').' +
+    (currentHour != null ? '\nCurrently scheduled at ' + currentHour + ':00.' : ''),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const text = response.getResponseText().trim();
+  const hour = Number(text);
+  if (text === '' || !/^\d+$/.test(text) || hour > 23) {
+    ui.alert('Invalid hour', 'Enter a whole number from 0 to 23.', ui.ButtonSet.OK);
+    return;
   }
-  
-  // Try each triggers sheet until we find a match
-  for (let s = 0; s < triggersSheets.length; s++) {
-    const triggersSheet = triggersSheets[s];
-    if (triggersSheet.getLastRow() < 2) continue;
-    
-    // Column A:B = Math triggers (trigger number, email name)
-    // Column D:E = Reading triggers (trigger number, email name)
-    let triggerCol, emailCol;
-    if (subject === 'Math') {
-      triggerCol = 0; // Column A (index 0)
-      emailCol = 1;  // Column B (index 1)
-    } else {
-      triggerCol = 3; // Column D (index 3)
-      emailCol = 4;   // Column E (index 4)
+  const verify = ui.alert(
+    'ClassNavi verify',
+    'After Load, also run Verify All Dashboards from ClassNavi?\n\nUses your stored ClassNavi login.',
+    ui.ButtonSet.YES_NO
+  ) === ui.Button.YES;
+  if (verify && !getClassNaviCredentials()) {
+    ui.alert('ClassNavi not set up', 'No ClassNavi login is stored for you yet, so the verify step will fail until you add one in ClassNavi Settings.', ui.ButtonSet.OK);
+  }
+
+  deleteTriggersByHandler(DAILY_RUN_HANDLER);
+  ScriptApp.newTrigger(DAILY_RUN_HANDLER).timeBased().everyDays(1).atHour(hour).inTimezone(ss.getSpreadsheetTimeZone()).create();
+  props.setProperty(DAILY_RUN_PROP_HOUR, String(hour));
+  props.setProperty(DAILY_RUN_PROP_VERIFY, verify ? 'true' : 'false');
+  debugLog('Daily run', 'scheduled', { hour: hour, verify: verify });
+  ui.alert(
+    'Daily run scheduled',
+    'Import → Load' + (verify ? ' → ClassNavi verify' : '') + ' runs every day between ' + hour + ':00 and ' + hour + ':59.\n' +
+    'Results are written to the "' + RUN_LOG_SHEET_NAME + '" sheet.',
+    ui.ButtonSet.OK
+  );
+}
+
+/** Menu: removes the daily trigger. */
+function stopDailyRun() {
+  const ui = SpreadsheetApp.getUi();
+  deleteTriggersByHandler(DAILY_RUN_HANDLER);
+  PropertiesService.getDocumentProperties().deleteProperty(DAILY_RUN_PROP_HOUR);
+  ui.alert('Daily run stopped', 'The daily Import → Load trigger was removed.', ui.ButtonSet.OK);
+}
+
+// --- Set up workbook: creates or repairs every sheet the script reads (safe to re-run) ---
+// Dashboards keep their own columns A–H (report / filter formulas); only the row-2 headers from I onward,
+// the Status dropdown and the work-area colors are written.
+const SETUP_DASHBOARD_NAMES = { Math: 'Math Dashboard', Reading: 'Reading Dashboard' };
+const SETUP_DATA_NAMES = { Math: 'Math Data', Reading: 'Reading Data' };
+const TRIGGERS_SHEET_NAME = 'Triggers';
+const TRIGGERS_HEADERS = ['Math Trigger #', 'Math Email', '', 'Reading Trigger #', 'Reading Email']; // A:B Math, D:E Reading
+/** Row-2 headers from I in the order Load writes the work area (K holds the email template name), then O. */
+const WORK_AREA_HEADERS = ['LoginID', 'Name', 'Email', 'Trigger #', 'Status', 'Notes', 'Message ID'];
+const WORK_AREA_STATUS_COLORS = [['Sent', '#d9ead3'], ['Issue', '#fce8b2'], ['Issue - Archive', '#e0e0e0']];
+
+/** Menu: runs the workbook setup and lists what was created or repaired. */
+function setUpWorkbook() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = runSetUpWorkbook(SpreadsheetApp.getActiveSpreadsheet());
+    const lines = [];
+    lines.push(result.changes.length > 0 ? 'Created or repaired:\n' + result.changes.map(function (c) { return '  • ' + c; }).join('\n') : 'Everything was already in place.');
+    if (result.warnings.length > 0) lines.push('Needs attention:\n' + result.warnings.map(function (w) { return '  • ' + w; }).join('\n'));
+    debugLog('Setup', 'complete', { changes: result.changes.length, warnings: result.warnings.length });
+    ui.alert('Set up workbook', lines.join('\n\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Setup', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Set up workbook error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Creates missing sheets and headers, installs the Status dropdown and work-area colors on both dashboards.
+ * Never deletes or rewrites data rows.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{ changes: string[], warnings: string[] }}
+ */
+function runSetUpWorkbook(ss) {
+  const result = { changes: [], warnings: [] };
+  const subjects = ['Math', 'Reading'];
+
+  for (let i = 0; i < subjects.length; i++) {
+    const subject = subjects[i];
+    let dashboard = ss.getSheetByName(SETUP_DASHBOARD_NAMES[subject]) || findSheetByName(ss, subject.toLowerCase(), 'dashboard');
+    if (!dashboard) {
+      dashboard = ss.insertSheet(SETUP_DASHBOARD_NAMES[subject]);
+      result.changes.push('Created "' + dashboard.getName() + '" (add the report / SEND EMAIL filter in columns A–G)');
     }
-    
-    const data = triggersSheet.getRange(2, 1, triggersSheet.getLastRow() - 1, Math.max(triggersSheet.getLastColumn(), 5)).getValues();
-    for (let r = 0; r < data.length; r++) {
-      const row = data[r];
-      const rowTrigger = String(row[triggerCol] != null ? row[triggerCol] : '').trim();
-      // Try exact match first
-      if (rowTrigger === triggerStr) {
-        const email = row[emailCol] != null ? String(row[emailCol]) : '';
-        if (email && email.trim() !== '') {
-          debugLog('Triggers', 'found email', { sheet: triggersSheet.getName(), subject: subject, triggerNum: triggerNum, email: email });
-          return email;
-        }
+    setUpDashboard(dashboard, result);
+
+    let data = ss.getSheetByName(SETUP_DATA_NAMES[subject]) || findSheetByName(ss, subject.toLowerCase(), 'data');
+    if (!data) {
+      data = ss.insertSheet(SETUP_DATA_NAMES[subject]);
+      data.getRange(1, 1, 1, IMPORT_REQUIRED_HEADERS.length).setValues([IMPORT_REQUIRED_HEADERS]);
+      result.changes.push('Created "' + data.getName() + '" (filled by Import from Drive)');
+    } else if (data.getLastColumn() > 0) {
+      try {
+        validateImportHeaders(data.getRange(1, 1, 1, data.getLastColumn()).getValues(), data.getName());
+      } catch (e) {
+        result.warnings.push(e.message.replace(' Nothing was imported.', ' Re-import the ' + subject + ' report.'));
       }
-      // Also try numeric match (in case one is string, one is number)
-      const rowTriggerNum = Number(rowTrigger);
-      const triggerNumNum = Number(triggerStr);
-      if (!isNaN(rowTriggerNum) && !isNaN(triggerNumNum) && rowTriggerNum === triggerNumNum) {
-        const email = row[emailCol] != null ? String(row[emailCol]) : '';
-        if (email && email.trim() !== '') {
-          debugLog('Triggers', 'found email (numeric match)', { sheet: triggersSheet.getName(), subject: subject, triggerNum: triggerNum, email: email });
-          return email;
-        }
+    }
+  }
+
+  const triggerSheets = ss.getSheets().filter(function (s) { return s.getName().toLowerCase().indexOf('trigger') !== -1; });
+  if (triggerSheets.length === 0) {
+    const triggers = ss.insertSheet(TRIGGERS_SHEET_NAME);
+    triggers.getRange(1, 1, 1, TRIGGERS_HEADERS.length).setValues([TRIGGERS_HEADERS]);
+    triggers.setFrozenRows(1);
+    result.changes.push('Created "' + TRIGGERS_SHEET_NAME + '" (Math trigger # → email template in A:B, Reading in D:E)');
+  } else {
+    for (let t = 0; t < triggerSheets.length; t++) {
+      const before = triggerSheets[t].getRange(1, 1, 1, TRIGGERS_HEADERS.length).getValues()[0].join('|');
+      ensureHeaderCells(triggerSheets[t], 1, TRIGGERS_HEADERS);
+      if (triggerSheets[t].getRange(1, 1, 1, TRIGGERS_HEADERS.length).getValues()[0].join('|') !== before) {
+        result.changes.push('Filled missing headers on "' + triggerSheets[t].getName() + '"');
       }
     }
   }
-  
-  debugLog('Triggers', 'NOT FOUND', { subject: subject, triggerNum: triggerNum, checkedSheets: triggersSheets.length });
-  return '';
+
+  function created(name, make) {
+    const existed = !!ss.getSheetByName(name);
+    make();
+    if (!existed) result.changes.push('Created "' + name + '"');
+  }
+  try {
+    created(SENT_LOG_SHEET_NAME, function () { getOrCreateSentLog(ss); });
+  } catch (e) {
+    result.warnings.push(e.message);
+  }
+  created(ISSUE_LOG_SHEET_NAME, function () { getOrCreateIssueLog(ss); });
+  created(EMAIL_TEMPLATES_SHEET_NAME, function () { getOrCreateTemplatesSheet(ss); });
+  created(COOLDOWN_RULES_SHEET_NAME, function () { getCooldownRules(ss); });
+  created(TRIAGE_RULES_SHEET_NAME, function () { getTriageRules(ss); });
+  return result;
 }
 
 /**
- * Looks up Email for a student by LoginID from Math Data or Reading Data sheet.
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
- * @param {string} subject - "Math" or "Reading"
- * @param {string} loginId
- * @returns {string}
+ * Row-2 headers I–V, the Status dropdown (column M) and work-area colors by Status on one dashboard.
+ * Fills only blank header cells (a different header is reported, not overwritten). Replaces only the
+ * conditional-format rules it added before (recognised by formula and color), so re-running doesn't stack them.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {{ changes: string[], warnings: string[] }} result
  */
-function getEmailFromDataSheet(ss, subject, loginId) {
-  const sheetName = subject === 'Math' ? 'Math Data' : 'Reading Data';
-  const sheet = ss.getSheetByName(sheetName) || findSheetByName(ss, subject.toLowerCase(), 'data');
-  if (!sheet || sheet.getLastRow() < 2) return '';
-  const headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-  let col = getColumnIndices(headerRow);
-  if (!col.loginId) {
-    for (let c = 0; c < headerRow.length; c++) {
-      const h = String(headerRow[c] || '').trim().toLowerCase().replace(/\s+/g, '');
-      if (h === 'loginid') { col.loginId = c + 1; break; }
+function setUpDashboard(sheet, result) {
+  const name = sheet.getName();
+  const headers = WORK_AREA_HEADERS;
+  const current = sheet.getRange(2, WORK_AREA_START_COL, 1, headers.length).getValues()[0];
+  const fixed = [];
+  for (let c = 0; c < headers.length; c++) {
+    const text = String(current[c] || '').trim();
+    if (text.toLowerCase() === headers[c].toLowerCase()) continue;
+    const a1 = sheet.getRange(2, WORK_AREA_START_COL + c).getA1Notation();
+    if (text === '') {
+      sheet.getRange(2, WORK_AREA_START_COL + c).setValue(headers[c]);
+      fixed.push(headers[c]);
+    } else {
+      result.warnings.push('"' + name + '" ' + a1 + ' is "' + text + '"; Load writes ' + headers[c] + ' there');
     }
   }
-  if (!col.email) {
-    for (let c = 0; c < headerRow.length; c++) {
-      const h = String(headerRow[c] || '').trim().toLowerCase();
-      if (h === 'email') { col.email = c + 1; break; }
-    }
+  if (fixed.length > 0) result.changes.push('"' + name + '" row 2: set ' + fixed.join(', '));
+  const classNaviHeader = sheet.getRange(2, CLASSNAVI_RESULT_START_COL).getValue();
+  if (String(classNaviHeader || '').trim() === '') {
+    classNaviWriteResultHeaders(sheet);
+    result.changes.push('"' + name + '" row 2: ClassNavi result headers (P–V)');
   }
-  if (!col.loginId || !col.email) return '';
-  const data = sheet.getRange(2, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
-  const idStr = String(loginId).trim();
-  for (let r = 0; r < data.length; r++) {
-    const row = data[r];
-    if (String(row[col.loginId - 1] != null ? row[col.loginId - 1] : '').trim() === idStr) {
-      return row[col.email - 1] != null ? String(row[col.email - 1]) : '';
-    }
+
+  const rows = Math.max(sheet.getMaxRows() - WORK_AREA_START_ROW + 1, 1);
+  const statusValues = [STATUS_NOT_SENT, TAG_ISSUE, TAG_ISSUE_ARCHIVE, STATUS_SENT];
+  const statusRange = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_STATUS_COL, rows, 1);
+  const existingRule = statusRange.getDataValidation();
+  const existingValues = existingRule && existingRule.getCriteriaType() === SpreadsheetApp.DataValidationCriteria.VALUE_IN_LIST
+    ? existingRule.getCriteriaValues()[0] : null;
+  if (!existingValues || existingValues.join('|') !== statusValues.join('|')) {
+    statusRange.setDataValidation(SpreadsheetApp.newDataValidation().requireValueInList(statusValues, true).setAllowInvalid(true).build());
+    result.changes.push('"' + name + '": Status dropdown');
   }
-  return '';
+
+  const workArea = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, rows, WORK_AREA_COLS);
+  const statusA1 = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_STATUS_COL).getA1Notation().replace(/^([A-Z]+)/, '$$$1');
+  const kept = sheet.getConditionalFormatRules().filter(function (rule) { return !isWorkAreaStatusRule(rule); });
+  const hadOurs = kept.length !== sheet.getConditionalFormatRules().length;
+  const ours = WORK_AREA_STATUS_COLORS.map(function (pair) {
+    return SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied('=LOWER(TRIM(' + statusA1 + '))="' + pair[0].toLowerCase() + '"')
+      .setBackground(pair[1])
+      .setRanges([workArea])
+      .build();
+  });
+  sheet.setConditionalFormatRules(kept.concat(ours));
+  if (!hadOurs) result.changes.push('"' + name + '": work-area colors by Status');
 }
 
 /**
- * Load: SEND EMAIL filter; not logged today (from Sent Log D/H = today).
- * Issue Log: Tag "Issue - Archive" → exclude from load. Tag "Issue" → bring back Status + Note; remove those rows from Issue Log.
+ * True for a work-area color rule that setUpDashboard added: a =LOWER(TRIM($M3))="status" formula
+ * with that status's color from WORK_AREA_STATUS_COLORS. Rules the user added are never matched.
+ * @param {GoogleAppsScript.Spreadsheet.ConditionalFormatRule} rule
  */
-function loadToWorkArea() {
+function isWorkAreaStatusRule(rule) {
+  const condition = rule.getBooleanCondition();
+  if (!condition || condition.getCriteriaType() !== SpreadsheetApp.BooleanCriteria.CUSTOM_FORMULA) return false;
+  const match = /^=LOWER\(TRIM\(\$[A-Z]+\d+\)\)="(.*)"$/.exec(String(condition.getCriteriaValues()[0] || '').replace(/\s+/g, ''));
+  if (!match) return false;
+  const background = String(condition.getBackground() || '').toLowerCase();
+  return WORK_AREA_STATUS_COLORS.some(function (pair) {
+    return pair[0].toLowerCase().replace(/\s+/g, '') === match[1] && pair[1] === background;
+  });
+}
+
+// --- Health check: validates the whole workbook and lists the findings on the "Health Check" sheet ---
+const HEALTH_CHECK_SHEET_NAME = 'Health Check';
+const HEALTH_CHECK_HEADERS = ['Area', 'Check', 'Status', 'Detail'];
+const HEALTH_STALE_IMPORT_DAYS = 7;   // Data sheets older than this are flagged
+const HEALTH_MAX_LISTED = 10;         // rows / triggers named per finding before "… and N more"
+const HEALTH_STATUS_COLORS = { OK: '#d9ead3', Warning: '#fce8b2', Error: '#f4cccc' };
+
+/** Menu: runs every check, writes the Health Check sheet and shows the totals. */
+function healthCheck() {
+  const ui = SpreadsheetApp.getUi();
   try {
-    debugLog('Load', 'loadToWorkArea start');
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME);
-    const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
-    if (!sentLog || !issueLog) {
-      SpreadsheetApp.getUi().alert('Missing sheets', 'Need "Sent Log" and "Issue Log". Run Move once to create them.', SpreadsheetApp.getUi().ButtonSet.OK);
-      return;
+    const findings = runHealthCheck(ss);
+    const sheet = writeHealthCheckSheet(ss, findings);
+    ss.setActiveSheet(sheet);
+    function count(status) {
+      return findings.filter(function (f) { return f[2] === status; }).length;
     }
+    debugLog('Health', 'complete', { errors: count(RUN_STATUS_ERROR), warnings: count(RUN_STATUS_WARNING) });
+    ui.alert(
+      'Health check',
+      count(RUN_STATUS_ERROR) + ' error(s), ' + count(RUN_STATUS_WARNING) + ' warning(s), ' + count(RUN_STATUS_OK) + ' OK.\n\n' +
+      'Details are on the "' + HEALTH_CHECK_SHEET_NAME + '" sheet. Set Up Workbook repairs missing sheets and headers.',
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Health', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Health check error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
 
-    const todayCell = issueLog.getRange(1, 20);
-    todayCell.setFormula('=TODAY()');
-    SpreadsheetApp.flush();
-    const today = todayCell.getValue();
-    todayCell.clearContent();
-    const todayT = (today && today.getTime) ? today.getTime() : (typeof today === 'number' ? today : 0);
-    const todayDay = Math.floor(todayT / 86400000);
-
-    const sentLastRow = Math.max(sentLog.getLastRow(), 1);
-    const sentNumRows = Math.max(sentLastRow - 1, 0);
-    const loggedTodayBySubject = { Math: {}, Reading: {} };
-    if (sentNumRows > 0) {
-      const sentData = sentLog.getRange(2, 1, sentNumRows, 8).getValues();
-      for (let r = 0; r < sentData.length; r++) {
-        const row = sentData[r];
-        const mathDate = row[3];
-        if (row[0] != null && String(row[0]).trim() !== '' && mathDate != null) {
-          const t = (mathDate && mathDate.getTime) ? mathDate.getTime() : (typeof mathDate === 'number' ? mathDate : 0);
-          if (Math.floor(t / 86400000) === todayDay) {
-            loggedTodayBySubject.Math[String(row[0]).trim()] = true;
-          }
-        }
-        const readDate = row[7];
-        if (row[4] != null && String(row[4]).trim() !== '' && readDate != null) {
-          const t = (readDate && readDate.getTime) ? readDate.getTime() : (typeof readDate === 'number' ? readDate : 0);
-          if (Math.floor(t / 86400000) === todayDay) {
-            loggedTodayBySubject.Reading[String(row[4]).trim()] = true;
-          }
-        }
-      }
+/**
+ * Runs every check without changing the workbook.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {string[][]} Rows of [Area, Check, Status, Detail]; Status is RUN_STATUS_OK / WARNING / ERROR
+ */
+function runHealthCheck(ss) {
+  const findings = [];
+  function add(area, check, status, detail) {
+    findings.push([area, check, status, detail]);
+  }
+  const dashboards = healthCheckDashboards(ss, add);
+  const triggers = healthCheckTriggers(ss, add);
+  healthCheckDashboardTriggers(ss, dashboards, triggers, add);
+  healthCheckSentLog(ss, add);
+  healthCheckDataSheets(ss, add);
+  return findings;
+}
+
+/** "a, b, c … and N more" for findings that name rows or triggers. */
+function healthList(items) {
+  const shown = items.slice(0, HEALTH_MAX_LISTED).join(', ');
+  return items.length > HEALTH_MAX_LISTED ? shown + ' … and ' + (items.length - HEALTH_MAX_LISTED) + ' more' : shown;
+}
+
+/** Trigger number as a lookup key: "07", 7 and "7" all match, like getEmailFromTriggersSheet. */
+function healthTriggerKey(t) {
+  const s = normalizeTrigger(t);
+  return s !== '' && !isNaN(Number(s)) ? String(Number(s)) : s;
+}
+
+/**
+ * Dashboards found by name and their row-2 headers compared with the layout Load, Move and Send use.
+ * @returns {{ subject: string, sheet: GoogleAppsScript.Spreadsheet.Sheet }[]}
+ */
+function healthCheckDashboards(ss, add) {
+  const found = [];
+  const keys = ['loginId', 'name', 'email', 'triggerNum', 'status', 'notes'];
+  const subjects = ['Math', 'Reading'];
+  for (let i = 0; i < subjects.length; i++) {
+    const subject = subjects[i];
+    const exact = ss.getSheetByName(SETUP_DASHBOARD_NAMES[subject]);
+    const sheet = exact || findSheetByName(ss, subject.toLowerCase(), 'dashboard');
+    if (!sheet) {
+      add('Dashboards', subject + ' dashboard', RUN_STATUS_ERROR, 'No sheet whose name contains "' + subject + '" and "Dashboard". Load, Move and Send skip ' + subject + '.');
+      continue;
     }
+    found.push({ subject: subject, sheet: sheet });
+    add('Dashboards', subject + ' dashboard', RUN_STATUS_OK, 'Found "' + sheet.getName() + '"' + (exact ? '' : ' (matched by name words)'));
 
-    const issueLastRow = Math.max(issueLog.getLastRow(), 1);
-    const issueNumRows = Math.max(issueLastRow - 1, 0);
-    const issueData = issueNumRows > 0 ? issueLog.getRange(2, 1, issueNumRows, ISSUE_LOG_NUM_COLS).getValues() : [];
-    const issueNoteByLoginIdAndTrigger = { Math: {}, Reading: {} };
-    const issueEntriesBySubject = { Math: [], Reading: [] };
-    const excludeFromLoadBySubject = { Math: {}, Reading: {} };
-    for (let r = 0; r < issueData.length; r++) {
-      const row = issueData[r];
-      const subjRaw = String(row[0] || '').trim();
-      const subj = subjRaw.toLowerCase() === 'math' ? 'Math' : (subjRaw.toLowerCase() === 'reading' ? 'Reading' : null);
-      if (!subj) continue;
-      const loginId = String(row[1] != null ? row[1] : '').trim();
-      if (!loginId) continue;
-      const tag = String(row[6] || '').trim();
-      const sheetRow = 2 + r;
-      if (tag === TAG_ISSUE_ARCHIVE) {
-        excludeFromLoadBySubject[subj][loginId] = true;
+    const headerRow = sheet.getLastColumn() > 0 ? sheet.getRange(2, 1, 1, sheet.getLastColumn()).getValues()[0] : [];
+    const col = getColumnIndices(headerRow);
+    const wrong = [];
+    let statusWrong = false;
+    for (let k = 0; k < keys.length; k++) {
+      const expectedCol = WORK_AREA_START_COL + k;
+      if (col[keys[k]] === expectedCol) continue;
+      const expectedA1 = sheet.getRange(2, expectedCol).getA1Notation();
+      wrong.push('"' + WORK_AREA_HEADERS[k] + '" expected in ' + expectedA1 + (col[keys[k]] ? ', found in ' + sheet.getRange(2, col[keys[k]]).getA1Notation() : ', not found'));
+      if (keys[k] === 'status') statusWrong = true;
+    }
+    if (wrong.length === 0) {
+      add('Dashboards', subject + ' headers', RUN_STATUS_OK, 'Row 2 I–N: ' + WORK_AREA_HEADERS.slice(0, WORK_AREA_COLS).join(', '));
+    } else {
+      add('Dashboards', subject + ' headers', statusWrong ? RUN_STATUS_ERROR : RUN_STATUS_WARNING,
+        wrong.join('; ') + (statusWrong ? '. Move reports "Missing headers" until Status is in M2.' : ''));
+    }
+  }
+  return found;
+}
+
+/**
+ * Triggers sheet(s): duplicate or blank trigger numbers and triggers without a template name.
+ * @returns {{ Math: Object<string, string>, Reading: Object<string, string> }|null} Trigger key → template name,
+ *   first match wins with subject-specific sheets first (same order as getEmailFromTriggersSheet); null when there is no sheet
+ */
+function healthCheckTriggers(ss, add) {
+  const sheets = ss.getSheets().filter(function (s) { return s.getName().toLowerCase().indexOf('trigger') !== -1; });
+  if (sheets.length === 0) {
+    add('Triggers', 'Triggers sheet', RUN_STATUS_ERROR, 'No sheet with "Trigger" in its name, so no row can be given an email template.');
+    return null;
+  }
+  const maps = { Math: {}, Reading: {} };
+  const subjects = [{ name: 'Math', triggerCol: 0, templateCol: 1 }, { name: 'Reading', triggerCol: 3, templateCol: 4 }];
+  for (let s = 0; s < subjects.length; s++) {
+    const subject = subjects[s];
+    const ordered = sheets.filter(function (sh) { return sh.getName().toLowerCase().indexOf(subject.name.toLowerCase()) !== -1; })
+      .concat(sheets.filter(function (sh) { return sh.getName().toLowerCase().indexOf(subject.name.toLowerCase()) === -1; }));
+    for (let i = 0; i < ordered.length; i++) {
+      const sheet = ordered[i];
+      const label = subject.name + ' on "' + sheet.getName() + '"';
+      if (sheet.getLastRow() < 2) {
+        add('Triggers', label, RUN_STATUS_WARNING, 'No trigger rows.');
         continue;
       }
-      if (tag === TAG_ISSUE) {
-        const triggerNum = row[3];
-        const note = String(row[4] || '');
-        if (!issueNoteByLoginIdAndTrigger[subj][loginId]) {
-          issueNoteByLoginIdAndTrigger[subj][loginId] = {};
+      const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, Math.max(sheet.getLastColumn(), 5)).getValues();
+      const rowsByKey = {};
+      const blank = [];
+      const noTemplate = [];
+      let count = 0;
+      for (let r = 0; r < data.length; r++) {
+        const trigger = healthTriggerKey(data[r][subject.triggerCol]);
+        const template = String(data[r][subject.templateCol] != null ? data[r][subject.templateCol] : '').trim();
+        if (trigger === '') {
+          if (template) blank.push('row ' + (r + 2));
+          continue;
         }
-        issueNoteByLoginIdAndTrigger[subj][loginId][normalizeTrigger(triggerNum)] = note;
-        issueEntriesBySubject[subj].push({ loginId: loginId, name: row[2], triggerNum: triggerNum, note: note, sheetRow: sheetRow });
+        count++;
+        (rowsByKey[trigger] = rowsByKey[trigger] || []).push(r + 2);
+        if (!template) noTemplate.push(trigger + ' (row ' + (r + 2) + ')');
+        else if (maps[subject.name][trigger] == null) maps[subject.name][trigger] = template;
       }
+      const duplicates = Object.keys(rowsByKey).filter(function (k) { return rowsByKey[k].length > 1; })
+        .map(function (k) { return k + ' (rows ' + rowsByKey[k].join(', ') + ')'; });
+      if (duplicates.length > 0) add('Triggers', label + ': duplicates', RUN_STATUS_WARNING, 'Only the first row is used: ' + healthList(duplicates));
+      if (blank.length > 0) add('Triggers', label + ': blank trigger #', RUN_STATUS_WARNING, 'Template name with no trigger number: ' + healthList(blank));
+      if (noTemplate.length > 0) add('Triggers', label + ': no template', RUN_STATUS_WARNING, 'Trigger with no template name: ' + healthList(noTemplate));
+      if (duplicates.length === 0 && blank.length === 0 && noTemplate.length === 0) add('Triggers', label, RUN_STATUS_OK, count + ' trigger(s)');
     }
+  }
+  return maps;
+}
 
-    const broughtBackKeys = [];
-
-    let mathCount = 0;
-    let readingCount = 0;
+/** Trigger numbers on each dashboard (SEND EMAIL rows in A–G and the work area) with no template or a missing one. */
+function healthCheckDashboardTriggers(ss, dashboards, triggers, add) {
+  if (!triggers) return;
+  const templateCache = {};
+  for (let d = 0; d < dashboards.length; d++) {
+    const subject = dashboards[d].subject;
+    const sheet = dashboards[d].sheet;
+    const lastRow = sheet.getLastRow();
+    const seen = {};
+    if (lastRow >= WORK_AREA_START_ROW) {
+      const data = sheet.getRange(WORK_AREA_START_ROW, 1, lastRow - WORK_AREA_START_ROW + 1, WORK_AREA_START_COL + WORK_AREA_COLS - 1).getValues();
+      for (let r = 0; r < data.length; r++) {
+        if (String(data[r][4] || '').trim().toLowerCase() === 'send email' && String(data[r][0] || '').trim()) seen[healthTriggerKey(data[r][6])] = true;
+        if (String(data[r][WORK_AREA_START_COL - 1] || '').trim()) seen[healthTriggerKey(data[r][WORK_AREA_START_COL + 2])] = true;
+      }
+    }
+    delete seen[''];
+    const unmapped = [];
+    const missingTemplate = [];
+    const keys = Object.keys(seen).sort(function (a, b) { return Number(a) - Number(b) || a.localeCompare(b); });
+    for (let k = 0; k < keys.length; k++) {
+      const template = triggers[subject][keys[k]];
+      if (!template) unmapped.push(keys[k]);
+      else if (!getTriggerEmailTemplate(ss, template, templateCache)) missingTemplate.push(keys[k] + ' → "' + template + '"');
+    }
+    if (unmapped.length > 0) {
+      add('Triggers', subject + ' dashboard triggers', RUN_STATUS_ERROR, 'Not on the Triggers sheet, so Send has no template: ' + healthList(unmapped));
+    }
+    if (missingTemplate.length > 0) {
+      add('Triggers', subject + ' dashboard templates', RUN_STATUS_ERROR, 'Template not in "' + EMAIL_TEMPLATES_SHEET_NAME + '" or Gmail drafts: ' + healthList(missingTemplate));
+    }
+    if (unmapped.length === 0 && missingTemplate.length === 0) {
+      add('Triggers', subject + ' dashboard triggers', RUN_STATUS_OK, keys.length + ' trigger(s) on the dashboard, all with a template');
+    }
+  }
+}
 
-    const mathSheet = ss.getSheetByName('Math Dashboard') || findSheetByName(ss, 'math', 'dashboard');
-    if (mathSheet) {
-      mathCount = loadOneDashboard(mathSheet, loggedTodayBySubject.Math, excludeFromLoadBySubject.Math, issueNoteByLoginIdAndTrigger.Math, issueEntriesBySubject.Math, ss, 'Math', broughtBackKeys, 500);
+/** Sent Log layout: old layout, header row and data rows out of line with SENT_LOG_HEADERS. */
+function healthCheckSentLog(ss, add) {
+  const sheet = ss.getSheetByName(SENT_LOG_SHEET_NAME);
+  if (!sheet) {
+    add('Sent Log', 'Sheet', RUN_STATUS_WARNING, 'Missing. It is created by the first Move (or Set Up Workbook).');
+    return;
+  }
+  if (isLegacySentLog(sheet)) {
+    add('Sent Log', 'Layout', RUN_STATUS_ERROR, 'Still in the old Math A–D / Reading E–H layout. Run Migrate Sent Log.');
+    return;
+  }
+  const width = Math.max(sheet.getLastColumn(), SENT_LOG_HEADERS.length);
+  const header = sheet.getRange(1, 1, 1, width).getValues()[0];
+  const wrong = [];
+  for (let c = 0; c < SENT_LOG_HEADERS.length; c++) {
+    if (String(header[c] || '').trim().toLowerCase() !== SENT_LOG_HEADERS[c].toLowerCase()) {
+      wrong.push(sheet.getRange(1, c + 1).getA1Notation() + ' is "' + String(header[c] || '') + '", expected "' + SENT_LOG_HEADERS[c] + '"');
     }
+  }
+  const extra = [];
+  for (let c = SENT_LOG_HEADERS.length; c < width; c++) {
+    if (String(header[c] || '').trim()) extra.push(sheet.getRange(1, c + 1).getA1Notation() + ' "' + header[c] + '"');
+  }
+  if (wrong.length > 0) add('Sent Log', 'Headers', RUN_STATUS_ERROR, 'Columns out of place: ' + healthList(wrong));
+  else if (extra.length > 0) add('Sent Log', 'Headers', RUN_STATUS_WARNING, 'Extra columns the script ignores: ' + healthList(extra));
+  else add('Sent Log', 'Headers', RUN_STATUS_OK, SENT_LOG_HEADERS.join(', '));
 
-    const readingSheet = ss.getSheetByName('Reading Dashboard') || findSheetByName(ss, 'reading', 'dashboard');
-    if (readingSheet) {
-      readingCount = loadOneDashboard(readingSheet, loggedTodayBySubject.Reading, excludeFromLoadBySubject.Reading, issueNoteByLoginIdAndTrigger.Reading, issueEntriesBySubject.Reading, ss, 'Reading', broughtBackKeys, 500);
+  if (sheet.getLastRow() < 2) return;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues();
+  const misaligned = [];
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (row.every(function (v) { return String(v).trim() === ''; })) continue;
+    const problems = [];
+    const subject = String(row[0] || '').trim();
+    if (subject !== 'Math' && subject !== 'Reading') problems.push('Subject "' + subject + '"');
+    if (String(row[1] != null ? row[1] : '').trim() === '') problems.push('no LoginID');
+    if (!(row[5] instanceof Date)) problems.push('Sent is not a date');
+    for (let c = SENT_LOG_HEADERS.length; c < width; c++) {
+      if (String(row[c]).trim() !== '') { problems.push('data past column ' + SENT_LOG_HEADERS.length); break; }
     }
+    if (problems.length > 0) misaligned.push('row ' + (r + 2) + ' (' + problems.join(', ') + ')');
+  }
+  add('Sent Log', 'Rows', misaligned.length > 0 ? RUN_STATUS_WARNING : RUN_STATUS_OK,
+    misaligned.length > 0 ? misaligned.length + ' row(s) out of line; cooldowns and Student History skip them: ' + healthList(misaligned) : data.length + ' row(s) aligned');
+}
 
-    if (broughtBackKeys.length > 0) {
-      const rowsToDelete = broughtBackKeys.map(function (k) { return k.sheetRow; }).filter(function (r, i, arr) { return arr.indexOf(r) === i; }).sort(function (a, b) { return b - a; });
-      for (let d = 0; d < rowsToDelete.length; d++) {
-        issueLog.deleteRow(rowsToDelete[d]);
+/** Math / Reading Data sheets: required headers and whether they still match the last import in Import History. */
+function healthCheckDataSheets(ss, add) {
+  const tz = ss.getSpreadsheetTimeZone();
+  const historySheet = ss.getSheetByName(IMPORT_HISTORY_SHEET_NAME);
+  const history = historySheet && historySheet.getLastRow() >= 2
+    ? historySheet.getRange(2, 1, historySheet.getLastRow() - 1, IMPORT_HISTORY_HEADERS.length).getValues()
+    : [];
+  const subjects = ['Math', 'Reading'];
+  for (let i = 0; i < subjects.length; i++) {
+    const subject = subjects[i];
+    const sheet = ss.getSheetByName(SETUP_DATA_NAMES[subject]) || findSheetByName(ss, subject.toLowerCase(), 'data');
+    if (!sheet) {
+      add('Data', subject + ' Data', RUN_STATUS_ERROR, 'Missing. Run Import from Drive (or Set Up Workbook).');
+      continue;
+    }
+    if (sheet.getLastColumn() > 0) {
+      try {
+        validateImportHeaders(sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues(), sheet.getName());
+      } catch (e) {
+        add('Data', subject + ' headers', RUN_STATUS_ERROR, e.message.replace(' Nothing was imported.', ''));
       }
-      debugLog('Load', 'Removed from Issue Log', { count: rowsToDelete.length });
     }
 
-    SpreadsheetApp.getUi().alert(
-      'Load complete',
-      'Math: ' + mathCount + ' rows\nReading: ' + readingCount + ' rows\nSEND EMAIL filter. Issue (not Archive) brought back; those removed from Issue Log.',
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
-  } catch (e) {
-    debugLog('Load', 'ERROR', { message: e.message, stack: e.stack });
-    SpreadsheetApp.getUi().alert('Load error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
-    throw e;
+    let last = null;
+    for (let r = 0; r < history.length; r++) {
+      if (String(history[r][1]).trim() !== subject || !(history[r][0] instanceof Date)) continue;
+      if (!last || history[r][0].getTime() > last[0].getTime()) last = history[r];
+    }
+    if (!last) {
+      add('Data', subject + ' freshness', RUN_STATUS_WARNING, 'No ' + subject + ' entry in "' + IMPORT_HISTORY_SHEET_NAME + '"; the data may predate import tracking.');
+      continue;
+    }
+    const problems = [];
+    const ageDays = Math.floor((new Date().getTime() - last[0].getTime()) / 86400000);
+    if (ageDays > HEALTH_STALE_IMPORT_DAYS) problems.push('last import was ' + ageDays + ' days ago');
+    const rows = Math.max(sheet.getLastRow() - 1, 0);
+    if (last[5] !== '' && Number(last[5]) !== rows) {
+      problems.push('sheet has ' + rows + ' row(s) but the import recorded ' + last[5] + ' (edited since, or replaced by Import from ClassNavi)');
+    }
+    const detail = '"' + last[2] + '" imported ' + Utilities.formatDate(last[0], tz, 'yyyy-MM-dd HH:mm');
+    add('Data', subject + ' freshness', problems.length > 0 ? RUN_STATUS_WARNING : RUN_STATUS_OK, detail + (problems.length > 0 ? ': ' + problems.join('; ') : ''));
   }
 }
 
 /**
- * Standalone verification: checks ALL rows in work area and fills any missing emails.
- * Can be run independently from menu: KNA Email Sender → Verify & Fill Emails
+ * Replaces the Health Check sheet with the findings, Status cells colored.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string[][]} findings
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
  */
-function verifyAndFillEmails() {
+function writeHealthCheckSheet(ss, findings) {
+  let sheet = ss.getSheetByName(HEALTH_CHECK_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(HEALTH_CHECK_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, HEALTH_CHECK_HEADERS.length).setValues([HEALTH_CHECK_HEADERS]).setFontWeight('bold');
+  sheet.getRange(1, HEALTH_CHECK_HEADERS.length + 1).setValue('Checked ' + Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'yyyy-MM-dd HH:mm'));
+  sheet.setFrozenRows(1);
+  if (findings.length > 0) {
+    sheet.getRange(2, 1, findings.length, HEALTH_CHECK_HEADERS.length).setValues(findings);
+    sheet.getRange(2, 3, findings.length, 1).setBackgrounds(findings.map(function (f) { return [HEALTH_STATUS_COLORS[f[2]] || null]; }));
+  }
+  return sheet;
+}
+
+// --- Dashboard → Sent Log / Issue Log (button entry point) ---
+// Sent Log: one row per sent email, both subjects (see SENT_LOG_HEADERS). Sheets still in the old
+// A–D Math / E–H Reading layout are converted with Migrate Sent Log. Issue Log: separate sheet, 8 cols.
+
+const SENT_LOG_SHEET_NAME = 'Sent Log';
+const SENT_LOG_HEADERS = ['Subject', 'LoginID', 'Name', 'Trigger #', 'Template', 'Sent', 'Sent By', 'Batch ID', 'Message ID'];
+const SENT_LOG_BATCH_COL = 8; // H
+const SENT_LOG_LEGACY_BACKUP_NAME = 'Sent Log (old layout)';
+const ISSUE_LOG_SHEET_NAME = 'Issue Log';
+const ISSUE_LOG_HEADERS = ['Subject', 'LoginID', 'Name', 'Trigger Number', 'Note', 'Date', 'Tag', 'Batch ID', 'Category', 'Assignee', 'Resolved', 'Resolution', 'Expires', 'Archive Scope'];
+const ISSUE_LOG_BATCH_COL = 8; // H
+const ISSUE_LOG_CATEGORY_COL = 9; // I
+const ISSUE_LOG_RESOLVED_COL = 11; // K
+const ISSUE_LOG_EXPIRES_COL = 13; // M
+const ISSUE_LOG_SCOPE_COL = 14; // N
+const TAG_ISSUE = 'Issue';
+const TAG_ISSUE_ARCHIVE = 'Issue - Archive';
+const TAG_RESOLVED = 'Resolved';
+
+/** Expected dashboard headers. Status: Not Sent, Issue, Issue - Archive, Sent. */
+const DASHBOARD_HEADERS = ['LoginID', 'Name', 'Trigger #', 'Email', 'Status', 'Notes'];
+
+/**
+ * Syncs the current dashboard to Sent Log and Issue Log.
+ * - "Sent" → Sent Log, one row each with template, time, sender, batch and Gmail message ID.
+ * - "Issue" → Issue Log with Tag "Issue". "Issue - Archive" → Issue Log with Tag "Issue - Archive".
+ * Shows a preview of every row that will be logged or deleted and only writes after the user confirms.
+ */
+function syncDashboardToLog() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getActiveSheet();
     const name = sheet.getName();
-    
-    const isMath = name.toLowerCase().indexOf('math') !== -1;
-    const isReading = name.toLowerCase().indexOf('reading') !== -1;
-    const isDashboard = name.toLowerCase().indexOf('dashboard') !== -1;
-    
-    if (!isDashboard || (!isMath && !isReading)) {
+    debugLog('Move', 'syncDashboardToLog start', { sheet: name });
+
+    const subject = getDashboardSubject(sheet);
+
+    if (!subject) {
       SpreadsheetApp.getUi().alert(
         'Wrong sheet',
         'Please run this from "Math Dashboard" or "Reading Dashboard".',
@@ -624,495 +1586,2979 @@ function verifyAndFillEmails() {
       );
       return;
     }
-    
-    const subject = isMath ? 'Math' : 'Reading';
-    const lastRow = sheet.getLastRow();
-    
-    if (lastRow < WORK_AREA_START_ROW) {
-      SpreadsheetApp.getUi().alert('No data', 'No rows found in work area.', SpreadsheetApp.getUi().ButtonSet.OK);
+
+    const plan = planDashboardMove(sheet, subject);
+    if (plan.error) {
+      SpreadsheetApp.getUi().alert('Missing headers', plan.error, SpreadsheetApp.getUi().ButtonSet.OK);
       return;
     }
-    
-    // Read ALL dashboard data (rows 3+) to get email column info
-    const dashboardDataRange = sheet.getRange(3, 1, Math.max(lastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
-    const dashboardData = dashboardDataRange.getValues();
-    const headerRow = sheet.getRange(2, 1, 1, Math.max(sheet.getLastColumn(), 7)).getValues()[0];
-    const col = getColumnIndices(headerRow);
-    const emailCol = (col.email && col.email >= 1 && col.email <= dashboardDataRange.getNumColumns()) ? col.email - 1 : 5;
-    
-    // Read work area (I:N)
-    const workAreaRows = lastRow >= WORK_AREA_START_ROW ? lastRow - WORK_AREA_START_ROW + 1 : 0;
-    if (workAreaRows === 0) {
-      SpreadsheetApp.getUi().alert('No work area', 'No rows found in work area (columns I-N).', SpreadsheetApp.getUi().ButtonSet.OK);
+    if (plan.sent.length === 0 && plan.issues.length === 0) {
+      SpreadsheetApp.getUi().alert(
+        'Nothing to move',
+        'No rows with Status "Sent", "Issue" or "Issue - Archive".' +
+        (plan.unknown.length > 0 ? '\n\n' + formatMovePlan(plan, subject) : ''),
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
       return;
     }
-    
-    const workAreaRange = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, workAreaRows, WORK_AREA_COLS);
-    const workAreaData = workAreaRange.getValues();
-    let updated = false;
-    let filledCount = 0;
-    let missingCount = 0;
-    
-    for (let r = 0; r < workAreaData.length; r++) {
-      const row = workAreaData[r];
-      const loginId = String(row[0] || '').trim();
-      const name = String(row[1] || '').trim();
-      const email = String(row[2] || '').trim(); // Column K (index 2)
-      const triggerNum = row[3];
-      const status = String(row[4] || '').trim();
-      const notes = String(row[5] || '').trim();
-      
-      // Check if row has LoginID and Trigger# but missing email
-      if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
-        missingCount++;
-        let newEmail = '';
-        
-        // Method 1: Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
-        if (triggerNum != null && triggerNum !== '') {
-          newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
-          if (newEmail && newEmail.trim() !== '') {
-            debugLog('Verify', 'found email in triggers sheet', { sheet: name, loginId: loginId, triggerNum: triggerNum, row: r + WORK_AREA_START_ROW });
-          }
-        }
-        
-        // Method 2: Check dashboard data (rows 3+) for this LoginID
-        if (!newEmail || newEmail.trim() === '') {
-          for (let d = 0; d < dashboardData.length; d++) {
-            const dataRow = dashboardData[d];
-            const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
-            if (dataId === loginId) {
-              newEmail = dataRow[emailCol] != null ? String(dataRow[emailCol]) : '';
-              if (newEmail && newEmail.trim() !== '') {
-                debugLog('Verify', 'found email in dashboard', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
-                break;
-              }
-            }
-          }
-        }
-        
-        // Method 3: Try subject Data sheet
-        if (!newEmail || newEmail.trim() === '') {
-          newEmail = getEmailFromDataSheet(ss, subject, loginId);
-          if (newEmail && newEmail.trim() !== '') {
-            debugLog('Verify', 'found email in ' + subject + ' Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
-          }
-        }
-        
-        // Method 4: Try opposite Data sheet
-        if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
-          newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
-          if (newEmail && newEmail.trim() !== '') {
-            debugLog('Verify', 'found email in Math Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
-          }
-        }
-        if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
-          newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
-          if (newEmail && newEmail.trim() !== '') {
-            debugLog('Verify', 'found email in Reading Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
-          }
-        }
-        
-        if (newEmail && newEmail.trim() !== '') {
-          workAreaData[r][2] = newEmail;
-          updated = true;
-          filledCount++;
-          debugLog('Verify', 'FILLED email', { sheet: name, loginId: loginId, triggerNum: triggerNum, email: newEmail, row: r + WORK_AREA_START_ROW });
-        } else {
-          debugLog('Verify', 'COULD NOT FIND email', { sheet: name, loginId: loginId, triggerNum: triggerNum, row: r + WORK_AREA_START_ROW });
-        }
-      }
-    }
-    
-    if (updated) {
-      workAreaRange.setValues(workAreaData);
-      SpreadsheetApp.flush();
-      SpreadsheetApp.getUi().alert(
-        'Verification complete',
-        'Checked ' + workAreaRows + ' rows.\n' +
-        'Found ' + missingCount + ' rows missing emails.\n' +
-        'Filled ' + filledCount + ' emails.\n' +
-        (missingCount - filledCount > 0 ? '\n' + (missingCount - filledCount) + ' emails could not be found in any data source.' : ''),
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
-    } else {
-      if (missingCount > 0) {
-        SpreadsheetApp.getUi().alert(
-          'No emails found',
-          'Checked ' + workAreaRows + ' rows.\n' +
-          'Found ' + missingCount + ' rows missing emails.\n' +
-          'Could not find emails in dashboard or Data sheets.\n\n' +
-          'Check View > Logs (Execution log) for details.',
-          SpreadsheetApp.getUi().ButtonSet.OK
-        );
-      } else {
-        SpreadsheetApp.getUi().alert(
-          'All good',
-          'Checked ' + workAreaRows + ' rows.\n' +
-          'All rows with LoginID and Trigger# have emails.',
-          SpreadsheetApp.getUi().ButtonSet.OK
-        );
-      }
+    const confirm = SpreadsheetApp.getUi().alert(
+      'Move preview – ' + subject,
+      formatMovePlan(plan, subject) + '\n\nWrite these to the logs and delete the rows?',
+      SpreadsheetApp.getUi().ButtonSet.YES_NO
+    );
+    if (confirm !== SpreadsheetApp.getUi().Button.YES) {
+      debugLog('Move', 'cancelled at preview', { sheet: name });
+      return;
     }
+
+    const batchId = newBatchId(ss, 'Move');
+    const result = applyDashboardMove(ss, sheet, subject, plan, batchId);
+    const msg = [
+      subject + ' Dashboard → Sent Log / Issue Log',
+      'Sent: ' + result.sent,
+      'Issues: ' + result.issues,
+      result.deleted > 0 ? 'Rows removed from sheet.' : '',
+      'Batch ' + batchId + ' (Undo Last Move reverses it).'
+    ].join('\n');
+    debugLog('Move', 'complete', { sheet: name, sent: result.sent, issues: result.issues, batchId: batchId });
+    SpreadsheetApp.getUi().alert('Move complete', msg, SpreadsheetApp.getUi().ButtonSet.OK);
   } catch (e) {
-    debugLog('Verify', 'ERROR', { message: e.message, stack: e.stack });
-    SpreadsheetApp.getUi().alert('Verification error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
+    debugLog('Move', 'ERROR', { message: e.message, stack: e.stack });
+    SpreadsheetApp.getUi().alert('Move error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
     throw e;
   }
 }
 
-/** Normalize trigger for comparison (string or number). */
-function normalizeTrigger(t) {
-  if (t == null) return '';
-  return String(t).trim();
+/**
+ * Works out what Move would do on a dashboard without writing anything.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} subject - "Math" or "Reading"
+ * @returns {{ error: string, col: Object, sent: Object[], issues: Object[], unknown: Object[], rowsToDelete: number[] }}
+ *   Entries are { sheetRow, loginId, name, triggerNum, note, template, messageId, tag?, status? }.
+ */
+function planDashboardMove(sheet, subject) {
+  const plan = { error: '', col: null, sent: [], issues: [], unknown: [], rowsToDelete: [] };
+  const headerRow = sheet.getRange(2, 1, 2, sheet.getLastColumn()).getValues()[0];
+  const col = getColumnIndices(headerRow);
+  if (col.status >= 4) {
+    col.loginId = col.status - 4;
+    col.name = col.status - 3;
+    col.triggerNum = col.status - 1;
+  }
+  if (!col.loginId || !col.status) {
+    plan.error = 'Dashboard must have headers for I–N (LoginID, Name, Trigger #, Email, Status, Notes) in row 2.';
+    return plan;
+  }
+  plan.col = col;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 3) return plan;
+  const rows = sheet.getRange(3, 1, lastRow, sheet.getLastColumn()).getValues();
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const loginId = row[col.loginId - 1];
+    if (loginId === null || loginId === undefined || String(loginId).trim() === '') continue;
+
+    const status = String((row[col.status - 1] || '')).trim();
+    if (status === '' || status.toLowerCase() === 'not sent') continue;
+
+    const entry = {
+      sheetRow: 3 + i,
+      loginId: loginId,
+      name: row[col.name - 1],
+      triggerNum: row[col.triggerNum - 1],
+      note: (col.notes && row[col.notes - 1] != null) ? row[col.notes - 1] : '',
+      template: col.email && row[col.email - 1] != null ? row[col.email - 1] : '',
+      messageId: row[WORK_AREA_MESSAGE_ID_COL - 1] != null ? row[WORK_AREA_MESSAGE_ID_COL - 1] : ''
+    };
+    const statusLower = status.toLowerCase();
+    if (statusLower === 'issue' || statusLower === 'issue - archive') {
+      entry.tag = statusLower === 'issue - archive' ? TAG_ISSUE_ARCHIVE : TAG_ISSUE;
+      plan.issues.push(entry);
+      plan.rowsToDelete.push(entry.sheetRow);
+    } else if (statusLower === 'sent') {
+      plan.sent.push(entry);
+      plan.rowsToDelete.push(entry.sheetRow);
+    } else {
+      entry.status = status;
+      plan.unknown.push(entry);
+    }
+  }
+  return plan;
 }
 
-function findSheetByName(ss, word1, word2) {
-  const w1 = word1.toLowerCase();
-  const w2 = word2.toLowerCase();
-  const sheets = ss.getSheets();
-  for (let i = 0; i < sheets.length; i++) {
-    const n = sheets[i].getName().toLowerCase();
-    if (n.indexOf(w1) !== -1 && n.indexOf(w2) !== -1) return sheets[i];
+/**
+ * Human-readable Move preview: Sent Log rows, Issue Log tags, unrecognised statuses, rows to delete.
+ * @param {Object} plan - From planDashboardMove
+ * @param {string} subject
+ * @returns {string}
+ */
+function formatMovePlan(plan, subject) {
+  const maxLines = 50;
+  function describe(e) {
+    return 'Row ' + e.sheetRow + ': ' + e.loginId + ' ' + (e.name || '') + ' (trigger ' + normalizeTrigger(e.triggerNum) + ')';
   }
-  return null;
+  function section(title, entries, extra) {
+    if (entries.length === 0) return [];
+    const lines = [title + ' (' + entries.length + '):'];
+    for (let i = 0; i < entries.length && i < maxLines; i++) lines.push('  ' + describe(entries[i]) + (extra ? extra(entries[i]) : ''));
+    if (entries.length > maxLines) lines.push('  … and ' + (entries.length - maxLines) + ' more');
+    return lines.concat(['']);
+  }
+  const lines = []
+    .concat(section('→ Sent Log', plan.sent))
+    .concat(section('→ Issue Log', plan.issues, function (e) { return ' → Tag "' + e.tag + '"' + (e.note ? ' – ' + e.note : ''); }))
+    .concat(section('NOT moved – unrecognised Status (fix or leave)', plan.unknown, function (e) { return ' – "' + e.status + '"'; }));
+  const sortedRows = plan.rowsToDelete.slice().sort(function (a, b) { return a - b; });
+  lines.push('Rows deleted from dashboard: ' + (sortedRows.length > 0 ? sortedRows.join(', ') : 'none'));
+  return lines.join('\n');
 }
 
-// Work area I:N = 6 columns (LoginID, Name, col3, Trigger#, Status, Notes)
-const WORK_AREA_COLS = 6;
-const WORK_AREA_START_ROW = 3;
-const WORK_AREA_START_COL = 9; // I
+/**
+ * Writes a Move plan: appends to Sent Log / Issue Log (creating them if missing), stamped with the batch ID,
+ * saves the moved rows to Batch History and deletes them from the dashboard.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string} subject
+ * @param {Object} plan - From planDashboardMove
+ * @param {string} batchId - From newBatchId
+ * @returns {{ sent: number, issues: number, deleted: number }}
+ */
+function applyDashboardMove(ss, sheet, subject, plan, batchId) {
+  const col = plan.col;
+  const sentLog = getOrCreateSentLog(ss);
+  const issueLog = getOrCreateIssueLog(ss);
 
-function debugLog(context, message, detail) {
-  const d = detail != null ? ' | ' + JSON.stringify(detail) : '';
-  Logger.log('[KNA ' + context + '] ' + message + d);
+  // Keep the whole moved rows (A to last column, formulas as formulas, before Status/Notes are cleared)
+  // so Undo can reinsert them where they were
+  const undoRecords = [];
+  if (plan.rowsToDelete.length > 0) {
+    const width = Math.max(sheet.getLastColumn(), WORK_AREA_START_COL + WORK_AREA_COLS - 1);
+    const sortedRows = plan.rowsToDelete.slice().sort(function (a, b) { return a - b; });
+    for (let i = 0; i < sortedRows.length; i++) {
+      const range = sheet.getRange(sortedRows[i], 1, 1, width);
+      const values = range.getValues()[0];
+      const formulas = range.getFormulas()[0];
+      undoRecords.push({
+        sheet: sheet.getName(),
+        kind: 'dashboard full row',
+        row: sortedRows[i],
+        values: values.map(function (v, c) { return formulas[c] || v; })
+      });
+    }
+  }
+
+  const todayCell = issueLog.getRange(1, 20);
+  todayCell.setFormula('=TODAY()');
+  SpreadsheetApp.flush();
+  const today = todayCell.getValue();
+  todayCell.clearContent();
+
+  if (plan.sent.length > 0) {
+    const sentAt = new Date();
+    const sentBy = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+    const sentRows = plan.sent.map(function (e) {
+      return [subject, e.loginId, e.name, e.triggerNum, e.template, sentAt, sentBy, batchId, e.messageId];
+    });
+    sentLog.getRange(sentLog.getLastRow() + 1, 1, sentRows.length, SENT_LOG_HEADERS.length).setValues(sentRows);
+  }
+
+  if (plan.issues.length > 0) {
+    const nextRow = getNextLogRow(issueLog, 1) + 1;
+    const issueData = plan.issues.map(function (e) {
+      const isArchive = e.tag === TAG_ISSUE_ARCHIVE;
+      return [subject, e.loginId, e.name, e.triggerNum, e.note, today, e.tag, batchId, guessIssueCategory(e.note), '', '', '',
+        isArchive ? defaultArchiveExpiry(today instanceof Date ? today : new Date()) : '', isArchive ? ARCHIVE_SCOPE_ALL : ''];
+    });
+    issueLog.getRange(nextRow, 1, issueData.length, ISSUE_LOG_HEADERS.length).setValues(issueData);
+    for (let r = 0; r < plan.issues.length; r++) {
+      const sheetRow = plan.issues[r].sheetRow;
+      sheet.getRange(sheetRow, col.status).clearContent();
+      if (col.notes) sheet.getRange(sheetRow, col.notes).clearContent();
+    }
+  }
+
+  saveBatch(ss, batchId, 'Move', { sheet: sheet.getName(), subject: subject, sent: plan.sent.length, issues: plan.issues.length }, undoRecords);
+
+  const sorted = plan.rowsToDelete.slice().sort(function (a, b) { return b - a; });
+  for (let d = 0; d < sorted.length; d++) {
+    sheet.deleteRow(sorted[d]);
+  }
+  return { sent: plan.sent.length, issues: plan.issues.length, deleted: sorted.length };
 }
 
-function loadOneDashboard(sheet, loggedTodayIds, excludeFromLoad, issueNoteByLoginIdAndTrigger, issueEntriesFromLog, ss, subject, broughtBackKeys, clearMaxRows) {
-  const sheetName = sheet.getName();
-  debugLog('Load', 'loadOneDashboard start', { sheet: sheetName });
-  const lastRow = sheet.getLastRow();
-  const numExistingRows = lastRow >= WORK_AREA_START_ROW ? Math.min(lastRow - WORK_AREA_START_ROW + 1, clearMaxRows) : 0;
-  const existingRange = numExistingRows > 0
-    ? sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, numExistingRows, WORK_AREA_COLS).getValues()
-    : [];
-  debugLog('Load', 'existing work area read', { sheet: sheetName, rows: existingRange.length, cols: existingRange[0] ? existingRange[0].length : 0 });
-  const leftover = [];
-  const addedKeys = {};
-  function key(loginId, triggerNum) {
-    return String(loginId || '').trim() + '|' + normalizeTrigger(triggerNum);
+/**
+ * True when the Sent Log still has the old Math A–D / Reading E–H layout.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ */
+function isLegacySentLog(sheet) {
+  const a1 = String(sheet.getRange(1, 1).getValue() || '').trim().toLowerCase();
+  return a1 !== '' && a1 !== 'subject';
+}
+
+/**
+ * The Sent Log in the single-table layout, created if missing.
+ * Throws when it is still in the old layout so nothing is appended in the wrong columns.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateSentLog(ss) {
+  let sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME);
+  if (!sentLog) {
+    sentLog = ss.insertSheet(SENT_LOG_SHEET_NAME);
+    sentLog.getRange(1, 1, 1, SENT_LOG_HEADERS.length).setValues([SENT_LOG_HEADERS]);
+    sentLog.setFrozenRows(1);
+    return sentLog;
   }
-  for (let r = 0; r < existingRange.length; r++) {
-    const row = existingRange[r];
-    const id = String(row[0] || '').trim();
-    if (!id) continue;
-    const tr = row[3];
-    leftover.push(row.slice(0, WORK_AREA_COLS));
-    addedKeys[key(id, tr)] = true;
+  if (isLegacySentLog(sentLog)) {
+    throw new Error('"' + SENT_LOG_SHEET_NAME + '" is still in the old Math A–D / Reading E–H layout. Run KNA Email Sender → Migrate Sent Log first.');
   }
-  const data = lastRow >= 3 ? sheet.getRange(3, 1, lastRow, 7).getValues() : [];
-  const headerRow = lastRow >= 2 ? sheet.getRange(2, 1, 2, Math.max(sheet.getLastColumn(), 7)).getValues()[0] : [];
-  const col = getColumnIndices(headerRow);
-  const emailCol = (col.email && col.email >= 1 && col.email <= 7) ? col.email - 1 : 5;
+  ensureHeaderCells(sentLog, 1, SENT_LOG_HEADERS);
+  return sentLog;
+}
+
+/**
+ * Every Sent Log entry (oldest first).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {boolean=} readOnly  When true a missing Sent Log reads as empty instead of being created.
+ * @returns {{ row: number, subject: string, loginId: string, name: any, triggerNum: any, template: string, sent: any, sentBy: string, batchId: string, messageId: string }[]}
+ */
+function readSentLog(ss, readOnly) {
+  const sentLog = readOnly ? ss.getSheetByName(SENT_LOG_SHEET_NAME) : getOrCreateSentLog(ss);
+  if (!sentLog) return [];
+  if (readOnly && isLegacySentLog(sentLog)) {
+    throw new Error('"' + SENT_LOG_SHEET_NAME + '" is still in the old layout; run Migrate Sent Log to see sent emails here.');
+  }
+  if (sentLog.getLastRow() < 2) return [];
+  const data = sentLog.getRange(2, 1, sentLog.getLastRow() - 1, SENT_LOG_HEADERS.length).getValues();
   const out = [];
   for (let r = 0; r < data.length; r++) {
     const row = data[r];
-    if (String((row[4] || '')).trim().toLowerCase() !== 'send email') continue;
-    const id = String(row[0] != null ? row[0] : '').trim();
-    if (!id) continue;
-    if (loggedTodayIds[id]) continue;
-    if (excludeFromLoad && excludeFromLoad[id]) continue;
-    const triggerNum = row[6];
-    const email = row[emailCol] != null ? String(row[emailCol]) : '';
-    const noteMap = issueNoteByLoginIdAndTrigger && issueNoteByLoginIdAndTrigger[id];
-    const note = noteMap && noteMap[normalizeTrigger(triggerNum)] != null ? String(noteMap[normalizeTrigger(triggerNum)]) : '';
-    const status = note ? 'Issue' : 'Not Sent';
-    out.push([row[0], row[1], email, triggerNum, status, note]);
-  }
-  const merged = leftover.slice();
-  for (let i = 0; i < out.length; i++) {
-    const row = out[i];
-    const rowId = String(row[0] != null ? row[0] : '').trim();
-    const tr = row[3];
-    if (addedKeys[key(rowId, tr)]) continue;
-    addedKeys[key(rowId, tr)] = true;
-    merged.push(row);
+    const loginId = String(row[1] != null ? row[1] : '').trim();
+    if (!loginId) continue;
+    out.push({
+      row: 2 + r,
+      subject: String(row[0] || '').trim(),
+      loginId: loginId,
+      name: row[2],
+      triggerNum: row[3],
+      template: String(row[4] || ''),
+      sent: row[5],
+      sentBy: String(row[6] || ''),
+      batchId: String(row[7] || ''),
+      messageId: String(row[8] || '')
+    });
   }
-  for (let i = 0; i < issueEntriesFromLog.length; i++) {
-    const ent = issueEntriesFromLog[i];
-    const id = String(ent.loginId).trim();
-    const tr = ent.triggerNum;
-    if (addedKeys[key(id, tr)]) continue;
-    // Only bring back Issue entries if they match the SEND EMAIL filter (exist in dashboard with "send email" status)
-    let foundInDashboard = false;
-    let email = '';
+  return out;
+}
+
+/**
+ * Menu: converts an old-layout Sent Log (Math A–D + I, Reading E–H + J) to the single table.
+ * The old sheet is kept as "Sent Log (old layout)". Batch IDs are carried over so Undo Last Move still works.
+ */
+function migrateSentLog() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME);
+    if (!sentLog || !isLegacySentLog(sentLog)) {
+      ui.alert('Nothing to migrate', '"' + SENT_LOG_SHEET_NAME + '" is already in the new layout (or does not exist yet).', ui.ButtonSet.OK);
+      return;
+    }
+    if (ss.getSheetByName(SENT_LOG_LEGACY_BACKUP_NAME)) {
+      ui.alert('Backup exists', 'Rename or delete "' + SENT_LOG_LEGACY_BACKUP_NAME + '" first; the migration keeps the old sheet under that name.', ui.ButtonSet.OK);
+      return;
+    }
+    const lastRow = sentLog.getLastRow();
+    const data = lastRow >= 2 ? sentLog.getRange(2, 1, lastRow - 1, 10).getValues() : [];
+    const rows = [];
     for (let r = 0; r < data.length; r++) {
       const row = data[r];
-      const rowId = String(row[0] != null ? row[0] : '').trim();
-      if (rowId === id) {
-        // Check if this row has "send email" status (same filter as regular rows)
-        if (String((row[4] || '')).trim().toLowerCase() === 'send email') {
-          foundInDashboard = true;
-          email = row[emailCol] != null ? String(row[emailCol]) : '';
-          break;
-        }
+      if (String(row[0] != null ? row[0] : '').trim() !== '') rows.push(['Math', row[0], row[1], row[2], '', row[3], '', row[8], '']);
+      if (String(row[4] != null ? row[4] : '').trim() !== '') rows.push(['Reading', row[4], row[5], row[6], '', row[7], '', row[9], '']);
+    }
+    function time(v) { return v && v.getTime ? v.getTime() : 0; }
+    rows.sort(function (a, b) { return time(a[5]) - time(b[5]); }); // stable: same-day rows keep their order
+
+    const confirm = ui.alert(
+      'Migrate Sent Log',
+      rows.length + ' entries will be copied into the new single-table layout (Subject, LoginID, Name, Trigger #, Template, Sent, Sent By, Batch ID, Message ID).\n\n' +
+      'The current sheet is kept as "' + SENT_LOG_LEGACY_BACKUP_NAME + '". Continue?',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    sentLog.setName(SENT_LOG_LEGACY_BACKUP_NAME);
+    const migrated = ss.insertSheet(SENT_LOG_SHEET_NAME, sentLog.getIndex() - 1);
+    migrated.getRange(1, 1, 1, SENT_LOG_HEADERS.length).setValues([SENT_LOG_HEADERS]);
+    migrated.setFrozenRows(1);
+    if (rows.length > 0) migrated.getRange(2, 1, rows.length, SENT_LOG_HEADERS.length).setValues(rows);
+    debugLog('Sent Log', 'migrated', { rows: rows.length });
+    ui.alert('Sent Log migrated', rows.length + ' entries moved to the new layout. The old sheet is "' + SENT_LOG_LEGACY_BACKUP_NAME + '".', ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Sent Log', 'migration ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Migration error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+// --- Resend cooldown: Load skips a LoginID + trigger sent within the cooldown ---
+// "Cooldown Rules" sheet: Subject (Math, Reading or All), Trigger # (blank = every trigger), Days.
+// A trigger row beats the subject default; a Math/Reading row beats an All row. 0 days = no cooldown.
+const COOLDOWN_RULES_SHEET_NAME = 'Cooldown Rules';
+const COOLDOWN_RULES_HEADERS = ['Subject', 'Trigger #', 'Days', 'Note'];
+const COOLDOWN_DEFAULT_DAYS = 7;
+const COOLDOWN_DEFAULT_RULES = [
+  ['Math', '', COOLDOWN_DEFAULT_DAYS, 'Default for every Math trigger'],
+  ['Reading', '', COOLDOWN_DEFAULT_DAYS, 'Default for every Reading trigger']
+];
+
+/**
+ * Cooldown days per subject (default and per trigger), seeding the rules sheet when it is missing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{ Math: { days: number, triggers: Object<string, number> }, Reading: { days: number, triggers: Object<string, number> } }}
+ */
+function getCooldownRules(ss) {
+  let sheet = ss.getSheetByName(COOLDOWN_RULES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(COOLDOWN_RULES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, COOLDOWN_RULES_HEADERS.length).setValues([COOLDOWN_RULES_HEADERS]);
+    sheet.getRange(2, 1, COOLDOWN_DEFAULT_RULES.length, COOLDOWN_RULES_HEADERS.length).setValues(COOLDOWN_DEFAULT_RULES);
+    sheet.setFrozenRows(1);
+  }
+  const rules = { Math: { days: COOLDOWN_DEFAULT_DAYS, triggers: {} }, Reading: { days: COOLDOWN_DEFAULT_DAYS, triggers: {} } };
+  if (sheet.getLastRow() < 2) return rules;
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  // Two passes so Math/Reading rows override All rows regardless of order
+  for (let pass = 0; pass < 2; pass++) {
+    for (let r = 0; r < data.length; r++) {
+      const subj = String(data[r][0] || '').trim().toLowerCase();
+      const days = Number(data[r][2]);
+      if (data[r][2] === '' || isNaN(days) || days < 0) continue;
+      const targets = pass === 0
+        ? (subj === 'all' ? ['Math', 'Reading'] : [])
+        : (subj === 'math' ? ['Math'] : (subj === 'reading' ? ['Reading'] : []));
+      const trigger = String(data[r][1] != null ? data[r][1] : '').trim();
+      for (let t = 0; t < targets.length; t++) {
+        if (trigger) rules[targets[t]].triggers[normalizeTrigger(trigger)] = days;
+        else rules[targets[t]].days = days;
       }
     }
-    // Only add if found in dashboard with "send email" status
-    if (!foundInDashboard) continue;
-    // Also check exclusion filters (logged today, Issue - Archive)
-    if (loggedTodayIds[id]) continue;
-    if (excludeFromLoad && excludeFromLoad[id]) continue;
+  }
+  return rules;
+}
+
+/**
+ * Builds the cooldown check Load uses: latest Sent Log entry per subject + LoginID + trigger, compared with the rules
+ * in whole calendar days (spreadsheet time zone).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Object[]} sentEntries - From readSentLog
+ * @returns {function(string, string, any): ({ lastSent: string, days: number }|null)} (subject, loginId, triggerNum) → hit or null
+ */
+function buildCooldownCheck(ss, sentEntries) {
+  const tz = ss.getSpreadsheetTimeZone();
+  const rules = getCooldownRules(ss);
+  function dayNumber(date) {
+    const parts = Utilities.formatDate(date, tz, 'yyyy-MM-dd').split('-');
+    return Math.round(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])) / 86400000);
+  }
+  const lastSent = {};
+  for (let i = 0; i < sentEntries.length; i++) {
+    const e = sentEntries[i];
+    if (!(e.sent instanceof Date)) continue;
+    const k = e.subject + '|' + e.loginId + '|' + normalizeTrigger(e.triggerNum);
+    if (!lastSent[k] || e.sent.getTime() > lastSent[k].getTime()) lastSent[k] = e.sent;
+  }
+  const today = dayNumber(new Date());
+  return function (subject, loginId, triggerNum) {
+    const trigger = normalizeTrigger(triggerNum);
+    const subjectRules = rules[subject];
+    if (!subjectRules) return null;
+    const days = subjectRules.triggers[trigger] != null ? subjectRules.triggers[trigger] : subjectRules.days;
+    const sent = lastSent[subject + '|' + String(loginId).trim() + '|' + trigger];
+    if (!days || !sent) return null;
+    if (today - dayNumber(sent) >= days) return null;
+    return { lastSent: Utilities.formatDate(sent, tz, 'yyyy-MM-dd'), days: days };
+  };
+}
+
+// Issue Log sheet: 14 columns = Subject, LoginID, Name, Trigger Number, Note, Date (opened), Tag, Batch ID,
+// Category, Assignee, Resolved (date), Resolution, Expires, Archive Scope. Resolved rows stay in the log as history.
+// "Issue - Archive" rows stop Load from adding the student until Expires (blank = never), for every trigger
+// or, with Archive Scope "This trigger", only for the row's trigger.
+const ISSUE_LOG_NUM_COLS = ISSUE_LOG_HEADERS.length;
+const ARCHIVE_SCOPE_ALL = 'All triggers';
+const ARCHIVE_SCOPE_TRIGGER = 'This trigger';
+const ARCHIVE_DEFAULT_EXPIRY_PROP = 'ARCHIVE_DEFAULT_EXPIRY_DAYS';
+const EXPIRING_ARCHIVES_SHEET_NAME = 'Expiring Archives';
+const EXPIRING_ARCHIVES_WINDOW_DAYS = 14;
+const EXPIRING_ARCHIVES_HEADERS = ['Expires', 'Days Left', 'Subject', 'LoginID', 'Name', 'Trigger Number', 'Archive Scope', 'Category', 'Note', 'Issue Log Row'];
+const ISSUE_CATEGORIES = ['Bad email', 'Inactive', 'Parent request', 'Wrong trigger', 'Other'];
+const ISSUE_AGING_SHEET_NAME = 'Issue Aging';
+const ISSUE_AGING_DAYS_PROP = 'ISSUE_AGING_DAYS';
+const ISSUE_AGING_DEFAULT_DAYS = 7;
+const ISSUE_AGING_HEADERS = ['Age (days)', 'Subject', 'LoginID', 'Name', 'Trigger Number', 'Category', 'Assignee', 'Tag', 'Note', 'Opened', 'Issue Log Row'];
+
+/**
+ * The Issue Log, created if missing, with any missing headers filled in and Tag / Category dropdowns.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateIssueLog(ss) {
+  let issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+  if (!issueLog) {
+    issueLog = ss.insertSheet(ISSUE_LOG_SHEET_NAME);
+    issueLog.getRange(1, 1, 1, ISSUE_LOG_HEADERS.length).setValues([ISSUE_LOG_HEADERS]);
+    issueLog.setFrozenRows(1);
+  }
+  ensureHeaderCells(issueLog, 1, ISSUE_LOG_HEADERS);
+  const rows = Math.max(issueLog.getMaxRows() - 1, 1);
+  const tagRule = SpreadsheetApp.newDataValidation().requireValueInList([TAG_ISSUE, TAG_ISSUE_ARCHIVE, TAG_RESOLVED], true).setAllowInvalid(true).build();
+  const categoryRule = SpreadsheetApp.newDataValidation().requireValueInList(ISSUE_CATEGORIES, true).setAllowInvalid(true).build();
+  issueLog.getRange(2, 7, rows, 1).setDataValidation(tagRule);
+  issueLog.getRange(2, ISSUE_LOG_CATEGORY_COL, rows, 1).setDataValidation(categoryRule);
+  const scopeRule = SpreadsheetApp.newDataValidation().requireValueInList([ARCHIVE_SCOPE_ALL, ARCHIVE_SCOPE_TRIGGER], true).setAllowInvalid(true).build();
+  issueLog.getRange(2, ISSUE_LOG_EXPIRES_COL, rows, 1).setDataValidation(SpreadsheetApp.newDataValidation().requireDate().setAllowInvalid(true).build());
+  issueLog.getRange(2, ISSUE_LOG_SCOPE_COL, rows, 1).setDataValidation(scopeRule);
+  return issueLog;
+}
+
+/**
+ * Best-guess category from the issue note (staff can change it in the Category dropdown).
+ * @param {string} note
+ * @returns {string} One of ISSUE_CATEGORIES, or '' when nothing matches
+ */
+function guessIssueCategory(note) {
+  const n = String(note || '').toLowerCase();
+  if (!n) return '';
+  if (n.indexOf('inactive') !== -1 || n.indexOf('not enrolled') !== -1 || n.indexOf('withdrawn') !== -1) return 'Inactive';
+  if (n.indexOf('email') !== -1 || n.indexOf('bounce') !== -1 || n.indexOf('address') !== -1) return 'Bad email';
+  if (n.indexOf('parent') !== -1 || n.indexOf('family') !== -1 || n.indexOf('request') !== -1) return 'Parent request';
+  if (n.indexOf('trigger') !== -1 || n.indexOf('lowest') !== -1) return 'Wrong trigger';
+  return '';
+}
+
+/**
+ * Archive entries still in force, per subject and LoginID: { all: true } or { triggers: { "3": true } }.
+ * Entries whose Expires date is before today are ignored.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {any[][]} issueData - Issue Log rows from row 2
+ * @returns {{ Math: Object, Reading: Object }}
+ */
+function getActiveArchives(ss, issueData) {
+  const tz = ss.getSpreadsheetTimeZone();
+  const todayKey = Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd');
+  const out = { Math: {}, Reading: {} };
+  for (let r = 0; r < issueData.length; r++) {
+    const row = issueData[r];
+    if (String(row[6] || '').trim() !== TAG_ISSUE_ARCHIVE) continue;
+    const subjRaw = String(row[0] || '').trim().toLowerCase();
+    const subj = subjRaw === 'math' ? 'Math' : (subjRaw === 'reading' ? 'Reading' : null);
+    const loginId = String(row[1] != null ? row[1] : '').trim();
+    if (!subj || !loginId) continue;
+    const expires = row[ISSUE_LOG_EXPIRES_COL - 1];
+    if (expires instanceof Date && Utilities.formatDate(expires, tz, 'yyyy-MM-dd') < todayKey) continue;
+    const entry = out[subj][loginId] = out[subj][loginId] || { all: false, triggers: {} };
+    if (String(row[ISSUE_LOG_SCOPE_COL - 1] || '').trim() === ARCHIVE_SCOPE_TRIGGER) entry.triggers[normalizeTrigger(row[3])] = true;
+    else entry.all = true;
+  }
+  return out;
+}
+
+/**
+ * Expires date for a new "Issue - Archive" entry from the default set in Expiring Archives… ('' = never).
+ * @param {Date} from
+ * @returns {Date|string}
+ */
+function defaultArchiveExpiry(from) {
+  const days = Number(PropertiesService.getDocumentProperties().getProperty(ARCHIVE_DEFAULT_EXPIRY_PROP) || 0);
+  if (!days) return '';
+  const d = new Date(from.getTime());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Writes the "Expiring Archives" sheet: archive entries that expired or expire within the window, soonest first.
+ * No UI, so the daily run refreshes it too.
+ * @param {number} [windowDays] - Defaults to EXPIRING_ARCHIVES_WINDOW_DAYS
+ * @returns {{ status: string, title: string, message: string }}
+ */
+function runExpiringArchivesReport(windowDays) {
+  const days = windowDays != null ? windowDays : EXPIRING_ARCHIVES_WINDOW_DAYS;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tz = ss.getSpreadsheetTimeZone();
+  const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+  const data = issueLog && issueLog.getLastRow() >= 2 ? issueLog.getRange(2, 1, issueLog.getLastRow() - 1, ISSUE_LOG_NUM_COLS).getValues() : [];
+  function dayNumber(date) {
+    const parts = Utilities.formatDate(date, tz, 'yyyy-MM-dd').split('-');
+    return Math.round(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])) / 86400000);
+  }
+  const today = dayNumber(new Date());
+  const rows = [];
+  let expired = 0;
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (String(row[6] || '').trim() !== TAG_ISSUE_ARCHIVE) continue;
+    const expires = row[ISSUE_LOG_EXPIRES_COL - 1];
+    if (!(expires instanceof Date)) continue;
+    const left = dayNumber(expires) - today;
+    if (left > days) continue;
+    if (left < 0) expired++;
+    rows.push([expires, left, row[0], row[1], row[2], row[3], row[ISSUE_LOG_SCOPE_COL - 1] || ARCHIVE_SCOPE_ALL, row[8], row[4], 2 + r]);
+  }
+  rows.sort(function (a, b) { return a[1] - b[1]; });
+
+  let sheet = ss.getSheetByName(EXPIRING_ARCHIVES_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(EXPIRING_ARCHIVES_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, EXPIRING_ARCHIVES_HEADERS.length).setValues([EXPIRING_ARCHIVES_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, EXPIRING_ARCHIVES_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+  }
+  return {
+    status: RUN_STATUS_OK,
+    title: 'Expiring archives',
+    message: (rows.length - expired) + ' archive entr' + (rows.length - expired === 1 ? 'y expires' : 'ies expire') + ' within ' + days + ' day(s); ' +
+      expired + ' already expired (Load ignores those). Renew by changing Expires, or drop by changing the Tag.'
+  };
+}
+
+/** Menu: sets the default expiry for new archive entries and refreshes the Expiring Archives sheet. */
+function showExpiringArchives() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const props = PropertiesService.getDocumentProperties();
+    const current = props.getProperty(ARCHIVE_DEFAULT_EXPIRY_PROP);
+    const response = ui.prompt(
+      'Expiring Archives',
+      'New "Issue - Archive" entries from Move expire after how many days? Leave blank to keep the current setting (' +
+      (current ? current + ' days' : 'never expire') + '); enter 0 for never.',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+    const text = response.getResponseText().trim();
+    if (text !== '') {
+      if (!/^\d+$/.test(text)) {
+        ui.alert('Invalid number', 'Enter a whole number of days.', ui.ButtonSet.OK);
+        return;
+      }
+      if (text === '0') props.deleteProperty(ARCHIVE_DEFAULT_EXPIRY_PROP);
+      else props.setProperty(ARCHIVE_DEFAULT_EXPIRY_PROP, text);
+    }
+    getOrCreateIssueLog(ss);
+    const result = runExpiringArchivesReport();
+    ss.setActiveSheet(ss.getSheetByName(EXPIRING_ARCHIVES_SHEET_NAME));
+    ui.alert(result.title, result.message, ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Issues', 'expiring archives ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Expiring Archives error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Menu: marks the selected Issue Log rows Resolved (keeps them, stamps the date and who resolved them).
+ * Issue - Archive rows are only resolved if the user agrees, since that lets Load pick the student up again.
+ */
+function resolveSelectedIssues() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getActiveSheet();
+    if (sheet.getName() !== ISSUE_LOG_SHEET_NAME) {
+      ui.alert('Wrong sheet', 'Select the rows to resolve on "' + ISSUE_LOG_SHEET_NAME + '".', ui.ButtonSet.OK);
+      return;
+    }
+    const rangeList = sheet.getActiveRangeList();
+    const rows = [];
+    const ranges = rangeList ? rangeList.getRanges() : [];
+    for (let i = 0; i < ranges.length; i++) {
+      for (let r = Math.max(ranges[i].getRow(), 2); r <= ranges[i].getLastRow(); r++) {
+        if (rows.indexOf(r) === -1 && r <= sheet.getLastRow()) rows.push(r);
+      }
+    }
+    if (rows.length === 0) {
+      ui.alert('No selection', 'Select one or more Issue Log rows (row 2 and below).', ui.ButtonSet.OK);
+      return;
+    }
+    const archiveRows = rows.filter(function (r) {
+      return String(sheet.getRange(r, 7).getValue() || '').trim() === TAG_ISSUE_ARCHIVE;
+    });
+    let skipArchives = false;
+    if (archiveRows.length > 0) {
+      const answer = ui.alert(
+        'Resolve archive rows?',
+        archiveRows.length + ' selected row(s) are tagged ' + TAG_ISSUE_ARCHIVE + '. Resolving them lets Load bring those students back.\n\n' +
+          'Yes = resolve them too. No = resolve only the other rows.',
+        ui.ButtonSet.YES_NO_CANCEL
+      );
+      if (answer === ui.Button.CANCEL || answer === ui.Button.CLOSE) return;
+      skipArchives = answer === ui.Button.NO;
+    }
+    const toResolve = skipArchives ? rows.filter(function (r) { return archiveRows.indexOf(r) === -1; }) : rows;
+    if (toResolve.length === 0) {
+      ui.alert('Nothing resolved', 'Only ' + TAG_ISSUE_ARCHIVE + ' rows were selected.', ui.ButtonSet.OK);
+      return;
+    }
+    const response = ui.prompt('Resolve issues', 'Resolution for ' + toResolve.length + ' row(s) (optional):', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+    const who = Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail();
+    const resolution = response.getResponseText().trim() || ('Resolved by ' + who);
+    const now = new Date();
+    let resolved = 0;
+    for (let i = 0; i < toResolve.length; i++) {
+      if (!String(sheet.getRange(toResolve[i], 2).getValue() || '').trim()) continue;
+      sheet.getRange(toResolve[i], 7).setValue(TAG_RESOLVED);
+      sheet.getRange(toResolve[i], ISSUE_LOG_RESOLVED_COL, 1, 2).setValues([[now, resolution]]);
+      resolved++;
+    }
+    ui.alert(
+      'Issues resolved',
+      resolved + ' row(s) marked ' + TAG_RESOLVED + '.' + (skipArchives ? '\n' + archiveRows.length + ' ' + TAG_ISSUE_ARCHIVE + ' row(s) left as they were.' : ''),
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Issues', 'resolve ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Resolve Issues error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/** Menu: lists open issues (not Resolved) older than N days on the "Issue Aging" sheet, oldest first. */
+function showIssueAging() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const props = PropertiesService.getDocumentProperties();
+    const current = props.getProperty(ISSUE_AGING_DAYS_PROP) || String(ISSUE_AGING_DEFAULT_DAYS);
+    const response = ui.prompt('Issue Aging', 'Show open issues older than how many days? (currently ' + current + ')', ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+    const text = response.getResponseText().trim() || current;
+    if (!/^\d+$/.test(text)) {
+      ui.alert('Invalid number', 'Enter a whole number of days.', ui.ButtonSet.OK);
+      return;
+    }
+    const minDays = Number(text);
+    props.setProperty(ISSUE_AGING_DAYS_PROP, text);
+
+    const issueLog = getOrCreateIssueLog(ss);
+    const data = issueLog.getLastRow() >= 2 ? issueLog.getRange(2, 1, issueLog.getLastRow() - 1, ISSUE_LOG_NUM_COLS).getValues() : [];
+    const now = Date.now();
+    const rows = [];
+    const byCategory = {};
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      if (!String(row[1] != null ? row[1] : '').trim()) continue;
+      if (String(row[6] || '').trim() === TAG_RESOLVED || row[ISSUE_LOG_RESOLVED_COL - 1]) continue;
+      const opened = row[5];
+      if (!(opened instanceof Date)) continue;
+      const age = Math.floor((now - opened.getTime()) / 86400000);
+      if (age < minDays) continue;
+      const category = String(row[8] || '') || '(none)';
+      byCategory[category] = (byCategory[category] || 0) + 1;
+      rows.push([age, row[0], row[1], row[2], row[3], row[8], row[9], row[6], row[4], opened, 2 + r]);
+    }
+    rows.sort(function (a, b) { return b[0] - a[0]; });
+
+    let sheet = ss.getSheetByName(ISSUE_AGING_SHEET_NAME);
+    if (!sheet) sheet = ss.insertSheet(ISSUE_AGING_SHEET_NAME);
+    sheet.clear();
+    sheet.getRange(1, 1, 1, ISSUE_AGING_HEADERS.length).setValues([ISSUE_AGING_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (rows.length > 0) sheet.getRange(2, 1, rows.length, ISSUE_AGING_HEADERS.length).setValues(rows);
+    ss.setActiveSheet(sheet);
+
+    const summary = Object.keys(byCategory).sort().map(function (c) { return c + ': ' + byCategory[c]; });
+    ui.alert(
+      'Issue Aging',
+      rows.length + ' open issue(s) older than ' + minDays + ' day(s).' + (summary.length > 0 ? '\n\n' + summary.join('\n') : ''),
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Issues', 'aging ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Issue Aging error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Looks up email subject line from triggers worksheet by trigger number.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} subject - "Math" or "Reading"
+ * @param {number|string} triggerNum
+ * @returns {string}
+ */
+function getEmailFromTriggersSheet(ss, subject, triggerNum) {
+  if (triggerNum == null || triggerNum === '') return '';
+  const triggerStr = String(triggerNum).trim();
+  if (!triggerStr) return '';
+  
+  // Try to find triggers sheet - check ALL sheets with "trigger" in name
+  const sheets = ss.getSheets();
+  const triggersSheets = [];
+  const subjectLower = subject.toLowerCase();
+  
+  // First try subject-specific triggers sheet, then any triggers sheet
+  for (let i = 0; i < sheets.length; i++) {
+    const name = sheets[i].getName().toLowerCase();
+    if (name.indexOf('trigger') !== -1) {
+      if (name.indexOf(subjectLower) !== -1) {
+        triggersSheets.unshift(sheets[i]); // Subject-specific first
+      } else {
+        triggersSheets.push(sheets[i]); // Generic triggers sheet
+      }
+    }
+  }
+  
+  if (triggersSheets.length === 0) {
+    debugLog('Triggers', 'no triggers sheet found', { subject: subject, triggerNum: triggerNum });
+    return '';
+  }
+  
+  // Try each triggers sheet until we find a match
+  for (let s = 0; s < triggersSheets.length; s++) {
+    const triggersSheet = triggersSheets[s];
+    if (triggersSheet.getLastRow() < 2) continue;
+    
+    // Column A:B = Math triggers (trigger number, email name)
+    // Column D:E = Reading triggers (trigger number, email name)
+    let triggerCol, emailCol;
+    if (subject === 'Math') {
+      triggerCol = 0; // Column A (index 0)
+      emailCol = 1;  // Column B (index 1)
+    } else {
+      triggerCol = 3; // Column D (index 3)
+      emailCol = 4;   // Column E (index 4)
+    }
+    
+    const data = triggersSheet.getRange(2, 1, triggersSheet.getLastRow() - 1, Math.max(triggersSheet.getLastColumn(), 5)).getValues();
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      const rowTrigger = String(row[triggerCol] != null ? row[triggerCol] : '').trim();
+      // Try exact match first
+      if (rowTrigger === triggerStr) {
+        const email = row[emailCol] != null ? String(row[emailCol]) : '';
+        if (email && email.trim() !== '') {
+          debugLog('Triggers', 'found email', { sheet: triggersSheet.getName(), subject: subject, triggerNum: triggerNum, email: email });
+          return email;
+        }
+      }
+      // Also try numeric match (in case one is string, one is number)
+      const rowTriggerNum = Number(rowTrigger);
+      const triggerNumNum = Number(triggerStr);
+      if (!isNaN(rowTriggerNum) && !isNaN(triggerNumNum) && rowTriggerNum === triggerNumNum) {
+        const email = row[emailCol] != null ? String(row[emailCol]) : '';
+        if (email && email.trim() !== '') {
+          debugLog('Triggers', 'found email (numeric match)', { sheet: triggersSheet.getName(), subject: subject, triggerNum: triggerNum, email: email });
+          return email;
+        }
+      }
+    }
+  }
+  
+  debugLog('Triggers', 'NOT FOUND', { subject: subject, triggerNum: triggerNum, checkedSheets: triggersSheets.length });
+  return '';
+}
+
+/**
+ * Looks up Email for a student by LoginID from Math Data or Reading Data sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} subject - "Math" or "Reading"
+ * @param {string} loginId
+ * @returns {string}
+ */
+function getEmailFromDataSheet(ss, subject, loginId) {
+  const sheetName = subject === 'Math' ? 'Math Data' : 'Reading Data';
+  const sheet = ss.getSheetByName(sheetName) || findSheetByName(ss, subject.toLowerCase(), 'data');
+  if (!sheet || sheet.getLastRow() < 2) return '';
+  const headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  let col = getColumnIndices(headerRow);
+  if (!col.loginId) {
+    for (let c = 0; c < headerRow.length; c++) {
+      const h = String(headerRow[c] || '').trim().toLowerCase().replace(/\s+/g, '');
+      if (h === 'loginid') { col.loginId = c + 1; break; }
+    }
+  }
+  if (!col.email) {
+    for (let c = 0; c < headerRow.length; c++) {
+      const h = String(headerRow[c] || '').trim().toLowerCase();
+      if (h === 'email') { col.email = c + 1; break; }
+    }
+  }
+  if (!col.loginId || !col.email) return '';
+  const data = sheet.getRange(2, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const idStr = String(loginId).trim();
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (String(row[col.loginId - 1] != null ? row[col.loginId - 1] : '').trim() === idStr) {
+      return row[col.email - 1] != null ? String(row[col.email - 1]) : '';
+    }
+  }
+  return '';
+}
+
+/**
+ * Load: SEND EMAIL filter; skips LoginID + trigger pairs still in their resend cooldown (Cooldown Rules + Sent Log)
+ * and lists them in the summary.
+ * Issue Log: Tag "Issue - Archive" → exclude from load until it expires (all triggers or just its own). Tag "Issue" → bring back Status + Note; those rows are tagged Resolved.
+ */
+function loadToWorkArea() {
+  try {
+    const result = runLoadToWorkArea();
+    SpreadsheetApp.getUi().alert(result.title, result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  } catch (e) {
+    debugLog('Load', 'ERROR', { message: e.message, stack: e.stack });
+    SpreadsheetApp.getUi().alert('Load error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Core of Load without any UI, shared by the menu and the daily run. Throws on unexpected errors.
+ * @returns {{ status: string, title: string, message: string }}
+ */
+function runLoadToWorkArea() {
+  debugLog('Load', 'loadToWorkArea start');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME);
+  const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+  if (!sentLog || !issueLog) {
+    return { status: RUN_STATUS_ERROR, title: 'Missing sheets', message: 'Need "Sent Log" and "Issue Log". Run Move once to create them.' };
+  }
+
+  const cooldown = buildCooldownCheck(ss, readSentLog(ss));
+  const suppressed = [];
+
+  const issueLastRow = Math.max(issueLog.getLastRow(), 1);
+  const issueNumRows = Math.max(issueLastRow - 1, 0);
+  const issueData = issueNumRows > 0 ? issueLog.getRange(2, 1, issueNumRows, ISSUE_LOG_NUM_COLS).getValues() : [];
+  const issueNoteByLoginIdAndTrigger = { Math: {}, Reading: {} };
+  const issueEntriesBySubject = { Math: [], Reading: [] };
+  const archivesBySubject = getActiveArchives(ss, issueData);
+  for (let r = 0; r < issueData.length; r++) {
+    const row = issueData[r];
+    const subjRaw = String(row[0] || '').trim();
+    const subj = subjRaw.toLowerCase() === 'math' ? 'Math' : (subjRaw.toLowerCase() === 'reading' ? 'Reading' : null);
+    if (!subj) continue;
+    const loginId = String(row[1] != null ? row[1] : '').trim();
+    if (!loginId) continue;
+    const tag = String(row[6] || '').trim();
+    const sheetRow = 2 + r;
+    if (tag === TAG_ISSUE_ARCHIVE) continue;
+    if (tag === TAG_ISSUE) {
+      const triggerNum = row[3];
+      const note = String(row[4] || '');
+      if (!issueNoteByLoginIdAndTrigger[subj][loginId]) {
+        issueNoteByLoginIdAndTrigger[subj][loginId] = {};
+      }
+      issueNoteByLoginIdAndTrigger[subj][loginId][normalizeTrigger(triggerNum)] = note;
+      issueEntriesBySubject[subj].push({ loginId: loginId, name: row[2], triggerNum: triggerNum, note: note, sheetRow: sheetRow });
+    }
+  }
+
+  const broughtBackKeys = [];
+  const batchId = newBatchId(ss, 'Load');
+  let undoRecords = [];
+  const loadedSheets = [];
+
+  let mathCount = 0;
+  let readingCount = 0;
+
+  const mathSheet = ss.getSheetByName('Math Dashboard') || findSheetByName(ss, 'math', 'dashboard');
+  if (mathSheet) {
+    undoRecords = undoRecords.concat(snapshotWorkArea(mathSheet));
+    loadedSheets.push(mathSheet.getName());
+    mathCount = loadOneDashboard(mathSheet, cooldown, suppressed, archivesBySubject.Math, issueNoteByLoginIdAndTrigger.Math, issueEntriesBySubject.Math, ss, 'Math', broughtBackKeys, 500);
+  }
+
+  const readingSheet = ss.getSheetByName('Reading Dashboard') || findSheetByName(ss, 'reading', 'dashboard');
+  if (readingSheet) {
+    undoRecords = undoRecords.concat(snapshotWorkArea(readingSheet));
+    loadedSheets.push(readingSheet.getName());
+    readingCount = loadOneDashboard(readingSheet, cooldown, suppressed, archivesBySubject.Reading, issueNoteByLoginIdAndTrigger.Reading, issueEntriesBySubject.Reading, ss, 'Reading', broughtBackKeys, 500);
+  }
+
+  if (broughtBackKeys.length > 0) {
+    // Brought-back issues stay in the Issue Log as history, tagged Resolved
+    const rowsToResolve = broughtBackKeys.map(function (k) { return k.sheetRow; }).filter(function (r, i, arr) { return arr.indexOf(r) === i; });
+    const resolvedAt = new Date();
+    for (let d = 0; d < rowsToResolve.length; d++) {
+      const sheetRow = rowsToResolve[d];
+      undoRecords.push({ sheet: ISSUE_LOG_SHEET_NAME, kind: 'issue resolved', row: sheetRow, values: issueData[sheetRow - 2] });
+      issueLog.getRange(sheetRow, 7).setValue(TAG_RESOLVED);
+      issueLog.getRange(sheetRow, ISSUE_LOG_RESOLVED_COL, 1, 2).setValues([[resolvedAt, 'Brought back to dashboard by ' + batchId]]);
+    }
+    debugLog('Load', 'Resolved in Issue Log', { count: rowsToResolve.length });
+  }
+  saveBatch(ss, batchId, 'Load', { sheets: loadedSheets, math: mathCount, reading: readingCount, broughtBack: broughtBackKeys.length, suppressed: suppressed.length }, undoRecords);
+
+  const maxListed = 25;
+  const suppressedLines = suppressed.slice(0, maxListed).map(function (x) {
+    return '  ' + x.subject + ' ' + x.loginId + ' ' + (x.name || '') + ' (trigger ' + normalizeTrigger(x.triggerNum) + ') – sent ' + x.lastSent + ', ' + x.days + '-day cooldown';
+  });
+  if (suppressed.length > maxListed) suppressedLines.push('  … and ' + (suppressed.length - maxListed) + ' more');
+  return {
+    status: RUN_STATUS_OK,
+    title: 'Load complete',
+    message: 'Math: ' + mathCount + ' rows\nReading: ' + readingCount + ' rows\nSEND EMAIL filter. Issue (not Archive) brought back; those marked Resolved in Issue Log.\n' +
+      'Skipped by resend cooldown: ' + suppressed.length + (suppressedLines.length > 0 ? '\n' + suppressedLines.join('\n') : '') +
+      '\nBatch ' + batchId + ' (Undo Last Load reverses it).'
+  };
+}
+
+/**
+ * Standalone verification: checks ALL rows in work area and fills any missing emails.
+ * Can be run independently from menu: KNA Email Sender → Verify & Fill Emails
+ */
+function verifyAndFillEmails() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getActiveSheet();
+    const name = sheet.getName();
+    
+    const subject = getDashboardSubject(sheet);
+    
+    if (!subject) {
+      SpreadsheetApp.getUi().alert(
+        'Wrong sheet',
+        'Please run this from "Math Dashboard" or "Reading Dashboard".',
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+      return;
+    }
+    
+    const lastRow = sheet.getLastRow();
+    
+    if (lastRow < WORK_AREA_START_ROW) {
+      SpreadsheetApp.getUi().alert('No data', 'No rows found in work area.', SpreadsheetApp.getUi().ButtonSet.OK);
+      return;
+    }
+    
+    // Read ALL dashboard data (rows 3+) to get email column info
+    const dashboardDataRange = sheet.getRange(3, 1, Math.max(lastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
+    const dashboardData = dashboardDataRange.getValues();
+    const headerRow = sheet.getRange(2, 1, 1, Math.max(sheet.getLastColumn(), 7)).getValues()[0];
+    const col = getColumnIndices(headerRow);
+    const emailCol = (col.email && col.email >= 1 && col.email <= dashboardDataRange.getNumColumns()) ? col.email - 1 : 5;
+    
+    // Read work area (I:N)
+    const workAreaRows = lastRow >= WORK_AREA_START_ROW ? lastRow - WORK_AREA_START_ROW + 1 : 0;
+    if (workAreaRows === 0) {
+      SpreadsheetApp.getUi().alert('No work area', 'No rows found in work area (columns I-N).', SpreadsheetApp.getUi().ButtonSet.OK);
+      return;
+    }
+    
+    const workAreaRange = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, workAreaRows, WORK_AREA_COLS);
+    const workAreaData = workAreaRange.getValues();
+    let updated = false;
+    let filledCount = 0;
+    let missingCount = 0;
+    
+    for (let r = 0; r < workAreaData.length; r++) {
+      const row = workAreaData[r];
+      const loginId = String(row[0] || '').trim();
+      const name = String(row[1] || '').trim();
+      const email = String(row[2] || '').trim(); // Column K (index 2)
+      const triggerNum = row[3];
+      const status = String(row[4] || '').trim();
+      const notes = String(row[5] || '').trim();
+      
+      // Check if row has LoginID and Trigger# but missing email
+      if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
+        missingCount++;
+        let newEmail = '';
+        
+        // Method 1: Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
+        if (triggerNum != null && triggerNum !== '') {
+          newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
+          if (newEmail && newEmail.trim() !== '') {
+            debugLog('Verify', 'found email in triggers sheet', { sheet: name, loginId: loginId, triggerNum: triggerNum, row: r + WORK_AREA_START_ROW });
+          }
+        }
+        
+        // Method 2: Check dashboard data (rows 3+) for this LoginID
+        if (!newEmail || newEmail.trim() === '') {
+          for (let d = 0; d < dashboardData.length; d++) {
+            const dataRow = dashboardData[d];
+            const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
+            if (dataId === loginId) {
+              newEmail = dataRow[emailCol] != null ? String(dataRow[emailCol]) : '';
+              if (newEmail && newEmail.trim() !== '') {
+                debugLog('Verify', 'found email in dashboard', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
+                break;
+              }
+            }
+          }
+        }
+        
+        // Method 3: Try subject Data sheet
+        if (!newEmail || newEmail.trim() === '') {
+          newEmail = getEmailFromDataSheet(ss, subject, loginId);
+          if (newEmail && newEmail.trim() !== '') {
+            debugLog('Verify', 'found email in ' + subject + ' Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
+          }
+        }
+        
+        // Method 4: Try opposite Data sheet
+        if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
+          newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
+          if (newEmail && newEmail.trim() !== '') {
+            debugLog('Verify', 'found email in Math Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
+          }
+        }
+        if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
+          newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
+          if (newEmail && newEmail.trim() !== '') {
+            debugLog('Verify', 'found email in Reading Data', { sheet: name, loginId: loginId, row: r + WORK_AREA_START_ROW });
+          }
+        }
+        
+        if (newEmail && newEmail.trim() !== '') {
+          workAreaData[r][2] = newEmail;
+          updated = true;
+          filledCount++;
+          debugLog('Verify', 'FILLED email', { sheet: name, loginId: loginId, triggerNum: triggerNum, email: newEmail, row: r + WORK_AREA_START_ROW });
+        } else {
+          debugLog('Verify', 'COULD NOT FIND email', { sheet: name, loginId: loginId, triggerNum: triggerNum, row: r + WORK_AREA_START_ROW });
+        }
+      }
+    }
+    
+    if (updated) {
+      workAreaRange.setValues(workAreaData);
+      SpreadsheetApp.flush();
+      SpreadsheetApp.getUi().alert(
+        'Verification complete',
+        'Checked ' + workAreaRows + ' rows.\n' +
+        'Found ' + missingCount + ' rows missing emails.\n' +
+        'Filled ' + filledCount + ' emails.\n' +
+        (missingCount - filledCount > 0 ? '\n' + (missingCount - filledCount) + ' emails could not be found in any data source.' : ''),
+        SpreadsheetApp.getUi().ButtonSet.OK
+      );
+    } else {
+      if (missingCount > 0) {
+        SpreadsheetApp.getUi().alert(
+          'No emails found',
+          'Checked ' + workAreaRows + ' rows.\n' +
+          'Found ' + missingCount + ' rows missing emails.\n' +
+          'Could not find emails in dashboard or Data sheets.\n\n' +
+          'Check View > Logs (Execution log) for details.',
+          SpreadsheetApp.getUi().ButtonSet.OK
+        );
+      } else {
+        SpreadsheetApp.getUi().alert(
+          'All good',
+          'Checked ' + workAreaRows + ' rows.\n' +
+          'All rows with LoginID and Trigger# have emails.',
+          SpreadsheetApp.getUi().ButtonSet.OK
+        );
+      }
+    }
+  } catch (e) {
+    debugLog('Verify', 'ERROR', { message: e.message, stack: e.stack });
+    SpreadsheetApp.getUi().alert('Verification error', e.message + '\n\nCheck View > Logs (Execution log) for details.', SpreadsheetApp.getUi().ButtonSet.OK);
+    throw e;
+  }
+}
+
+/** Normalize trigger for comparison (string or number). */
+function normalizeTrigger(t) {
+  if (t == null) return '';
+  return String(t).trim();
+}
+
+function findSheetByName(ss, word1, word2) {
+  const w1 = word1.toLowerCase();
+  const w2 = word2.toLowerCase();
+  const sheets = ss.getSheets();
+  for (let i = 0; i < sheets.length; i++) {
+    const n = sheets[i].getName().toLowerCase();
+    if (n.indexOf(w1) !== -1 && n.indexOf(w2) !== -1) return sheets[i];
+  }
+  return null;
+}
+
+// Work area I:N = 6 columns (LoginID, Name, col3, Trigger#, Status, Notes)
+const WORK_AREA_COLS = 6;
+const WORK_AREA_START_ROW = 3;
+const WORK_AREA_START_COL = 9; // I
+const WORK_AREA_ROW_COLS = WORK_AREA_COLS + 1; // I:O – Load and Undo Last Load move the Message ID (O) with its row
+
+function debugLog(context, message, detail) {
+  const d = detail != null ? ' | ' + JSON.stringify(detail) : '';
+  Logger.log('[KNA ' + context + '] ' + message + d);
+}
+
+/**
+ * Rebuilds one dashboard's work area: keeps existing rows, adds SEND EMAIL rows and Issue Log entries.
+ * @param {function(string, string, any): Object|null} cooldown - From buildCooldownCheck
+ * @param {Object[]} suppressed - Rows skipped by the cooldown are appended here for the Load summary
+ * @param {Object} archives - This subject's entries from getActiveArchives
+ * @returns {number} Rows in the work area
+ */
+function loadOneDashboard(sheet, cooldown, suppressed, archives, issueNoteByLoginIdAndTrigger, issueEntriesFromLog, ss, subject, broughtBackKeys, clearMaxRows) {
+  const sheetName = sheet.getName();
+  debugLog('Load', 'loadOneDashboard start', { sheet: sheetName });
+  const lastRow = sheet.getLastRow();
+  const numExistingRows = lastRow >= WORK_AREA_START_ROW ? Math.min(lastRow - WORK_AREA_START_ROW + 1, clearMaxRows) : 0;
+  const existingRange = numExistingRows > 0
+    ? sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, numExistingRows, WORK_AREA_ROW_COLS).getValues()
+    : [];
+  debugLog('Load', 'existing work area read', { sheet: sheetName, rows: existingRange.length, cols: existingRange[0] ? existingRange[0].length : 0 });
+  const leftover = [];
+  const addedKeys = {};
+  function key(loginId, triggerNum) {
+    return String(loginId || '').trim() + '|' + normalizeTrigger(triggerNum);
+  }
+  function isArchived(loginId, triggerNum) {
+    const entry = archives && archives[loginId];
+    return !!entry && (entry.all || !!entry.triggers[normalizeTrigger(triggerNum)]);
+  }
+  function isCoolingDown(loginId, name, triggerNum) {
+    const hit = cooldown(subject, loginId, triggerNum);
+    if (!hit) return false;
+    suppressed.push({ subject: subject, loginId: loginId, name: name, triggerNum: triggerNum, lastSent: hit.lastSent, days: hit.days });
+    return true;
+  }
+  for (let r = 0; r < existingRange.length; r++) {
+    const row = existingRange[r];
+    const id = String(row[0] || '').trim();
+    if (!id) continue;
+    const tr = row[3];
+    leftover.push(row.slice(0, WORK_AREA_ROW_COLS));
+    addedKeys[key(id, tr)] = true;
+  }
+  const data = lastRow >= 3 ? sheet.getRange(3, 1, lastRow, 7).getValues() : [];
+  const headerRow = lastRow >= 2 ? sheet.getRange(2, 1, 2, Math.max(sheet.getLastColumn(), 7)).getValues()[0] : [];
+  const col = getColumnIndices(headerRow);
+  const emailCol = (col.email && col.email >= 1 && col.email <= 7) ? col.email - 1 : 5;
+  const out = [];
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (String((row[4] || '')).trim().toLowerCase() !== 'send email') continue;
+    const id = String(row[0] != null ? row[0] : '').trim();
+    if (!id) continue;
+    const triggerNum = row[6];
+    if (isArchived(id, triggerNum)) continue;
+    if (addedKeys[key(id, triggerNum)]) continue;
+    if (isCoolingDown(id, row[1], triggerNum)) continue;
+    const email = row[emailCol] != null ? String(row[emailCol]) : '';
+    const noteMap = issueNoteByLoginIdAndTrigger && issueNoteByLoginIdAndTrigger[id];
+    const note = noteMap && noteMap[normalizeTrigger(triggerNum)] != null ? String(noteMap[normalizeTrigger(triggerNum)]) : '';
+    const status = note ? 'Issue' : 'Not Sent';
+    out.push([row[0], row[1], email, triggerNum, status, note, '']);
+  }
+  const merged = leftover.slice();
+  for (let i = 0; i < out.length; i++) {
+    const row = out[i];
+    const rowId = String(row[0] != null ? row[0] : '').trim();
+    const tr = row[3];
+    if (addedKeys[key(rowId, tr)]) continue;
+    addedKeys[key(rowId, tr)] = true;
+    merged.push(row);
+  }
+  for (let i = 0; i < issueEntriesFromLog.length; i++) {
+    const ent = issueEntriesFromLog[i];
+    const id = String(ent.loginId).trim();
+    const tr = ent.triggerNum;
+    if (addedKeys[key(id, tr)]) continue;
+    // Only bring back Issue entries if they match the SEND EMAIL filter (exist in dashboard with "send email" status)
+    let foundInDashboard = false;
+    let email = '';
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      const rowId = String(row[0] != null ? row[0] : '').trim();
+      if (rowId === id) {
+        // Check if this row has "send email" status (same filter as regular rows)
+        if (String((row[4] || '')).trim().toLowerCase() === 'send email') {
+          foundInDashboard = true;
+          email = row[emailCol] != null ? String(row[emailCol]) : '';
+          break;
+        }
+      }
+    }
+    // Only add if found in dashboard with "send email" status
+    if (!foundInDashboard) continue;
+    // Also check exclusion filters (resend cooldown, Issue - Archive)
+    if (isArchived(id, tr)) continue;
+    if (isCoolingDown(id, ent.name, tr)) continue;
     addedKeys[key(id, tr)] = true;
     // If email still empty, try triggers sheet FIRST (if we have trigger number, we can ALWAYS get email)
     if (!email || email.trim() === '') {
       if (tr != null && tr !== '') {
         email = getEmailFromTriggersSheet(ss, subject, tr);
       }
-      // Fallback to Data sheet only if triggers sheet didn't work
-      if (!email || email.trim() === '') {
-        email = getEmailFromDataSheet(ss, subject, id);
+      // Fallback to Data sheet only if triggers sheet didn't work
+      if (!email || email.trim() === '') {
+        email = getEmailFromDataSheet(ss, subject, id);
+      }
+    }
+    merged.push([ent.loginId, ent.name, email, ent.triggerNum, 'Issue', ent.note, '']);
+    broughtBackKeys.push({ subject: subject, loginId: id, triggerNum: tr, sheetRow: ent.sheetRow });
+  }
+  debugLog('Load', 'merge counts', { sheet: sheetName, leftover: leftover.length, fromFilter: out.length, fromIssueLog: issueEntriesFromLog.length, merged: merged.length });
+  if (merged.length > 0) {
+    const cols = merged[0].length;
+    if (cols !== WORK_AREA_ROW_COLS) {
+      debugLog('Load', 'ERROR: merged row column count mismatch', { sheet: sheetName, mergedRows: merged.length, mergedCols: cols, expected: WORK_AREA_ROW_COLS });
+      throw new Error('Load [' + sheetName + ']: data has ' + cols + ' columns but work area expects ' + WORK_AREA_ROW_COLS + '. merged.length=' + merged.length + '. Check leftover and new rows have exactly 7 cells each (I:O).');
+    }
+    const endRow = Math.max(lastRow, 2 + clearMaxRows);
+    sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, endRow, WORK_AREA_ROW_COLS).clearContent();
+    sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, merged.length, WORK_AREA_ROW_COLS).setValues(merged);
+    debugLog('Load', 'write done', { sheet: sheetName, rows: merged.length, cols: WORK_AREA_ROW_COLS });
+    
+    // Wait 3 seconds, then do comprehensive verification and fill any missing emails
+    Utilities.sleep(3000);
+    SpreadsheetApp.flush();
+    
+    // Re-read the ENTIRE dashboard sheet to get current state (not stale data)
+    const currentLastRow = sheet.getLastRow();
+    const verifyNumRows = currentLastRow >= WORK_AREA_START_ROW ? currentLastRow - WORK_AREA_START_ROW + 1 : 0;
+    if (verifyNumRows > 0) {
+      // Re-read dashboard sheet data (rows 3+) with ALL columns to get fresh email data
+      const freshDataRange = sheet.getRange(3, 1, Math.max(currentLastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
+      const freshData = freshDataRange.getValues();
+      const freshHeaderRow = sheet.getRange(2, 1, 1, Math.max(sheet.getLastColumn(), 7)).getValues()[0];
+      const freshCol = getColumnIndices(freshHeaderRow);
+      const freshEmailCol = (freshCol.email && freshCol.email >= 1 && freshCol.email <= freshDataRange.getNumColumns()) ? freshCol.email - 1 : 5;
+      
+      const verifyRange = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, verifyNumRows, WORK_AREA_COLS);
+      const verifyData = verifyRange.getValues();
+      let updated = false;
+      
+      // Multiple verification passes to catch everything
+      for (let pass = 0; pass < 3; pass++) {
+        if (pass > 0) {
+          Utilities.sleep(1000);
+          SpreadsheetApp.flush();
+          // Re-read after each pass
+          const freshDataRange2 = sheet.getRange(3, 1, Math.max(currentLastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
+          const freshData2 = freshDataRange2.getValues();
+          for (let r = 0; r < verifyData.length; r++) {
+            const row = verifyData[r];
+            const loginId = String(row[0] || '').trim();
+            const triggerNum = row[3];
+            const email = String(row[2] || '').trim();
+            // If still missing email, try to find it
+            if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
+              let newEmail = '';
+              // Check fresh dashboard data (rows 3+) for this LoginID
+              for (let d = 0; d < freshData2.length; d++) {
+                const dataRow = freshData2[d];
+                const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
+                if (dataId === loginId) {
+                  newEmail = dataRow[freshEmailCol] != null ? String(dataRow[freshEmailCol]) : '';
+                  if (newEmail && newEmail.trim() !== '') break;
+                }
+              }
+              // Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
+              if (triggerNum != null && triggerNum !== '') {
+                newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
+              }
+              // Try subject Data sheet only if triggers didn't work
+              if (!newEmail || newEmail.trim() === '') {
+                newEmail = getEmailFromDataSheet(ss, subject, loginId);
+              }
+              // Try opposite Data sheet
+              if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
+                newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
+              }
+              if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
+                newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
+              }
+              if (newEmail && newEmail.trim() !== '') {
+                verifyData[r][2] = newEmail;
+                updated = true;
+                debugLog('Load', 'filled missing email (pass ' + (pass + 1) + ')', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
+              }
+            }
+          }
+        } else {
+          // First pass: check all rows
+          for (let r = 0; r < verifyData.length; r++) {
+            const row = verifyData[r];
+            const loginId = String(row[0] || '').trim();
+            const triggerNum = row[3];
+            const email = String(row[2] || '').trim();
+            if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
+              let newEmail = '';
+              // Check fresh dashboard data (rows 3+) for this LoginID
+              for (let d = 0; d < freshData.length; d++) {
+                const dataRow = freshData[d];
+                const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
+                if (dataId === loginId) {
+                  newEmail = dataRow[freshEmailCol] != null ? String(dataRow[freshEmailCol]) : '';
+                  if (newEmail && newEmail.trim() !== '') break;
+                }
+              }
+              // Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
+              if (triggerNum != null && triggerNum !== '') {
+                newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
+              }
+              // Try subject Data sheet only if triggers didn't work
+              if (!newEmail || newEmail.trim() === '') {
+                newEmail = getEmailFromDataSheet(ss, subject, loginId);
+              }
+              // Try opposite Data sheet
+              if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
+                newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
+              }
+              if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
+                newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
+              }
+              if (newEmail && newEmail.trim() !== '') {
+                verifyData[r][2] = newEmail;
+                updated = true;
+                debugLog('Load', 'filled missing email (pass 1)', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
+              } else {
+                debugLog('Load', 'WARNING: could not find email', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
+              }
+            }
+          }
+        }
+        
+        if (updated && pass === 0) {
+          verifyRange.setValues(verifyData);
+          SpreadsheetApp.flush();
+        }
+      }
+      
+      if (updated) {
+        verifyRange.setValues(verifyData);
+        SpreadsheetApp.flush();
+        debugLog('Load', 'verification complete - all emails filled', { sheet: sheetName, rowsChecked: verifyData.length });
+      }
+    }
+  }
+  return merged.length;
+}
+
+/**
+ * Finds 1-based column indices for LoginID, Name, Trigger #, Email, Status, Notes.
+ * @param {any[]} headerRow - Row 1 values
+ * @returns {{ loginId: number, name: number, triggerNum: number, email: number, status: number, notes: number }}
+ */
+function getColumnIndices(headerRow) {
+  const out = { loginId: 0, name: 0, triggerNum: 0, email: 0, status: 0, notes: 0 };
+  for (let c = 0; c < headerRow.length; c++) {
+    const h = String(headerRow[c] || '').trim().toLowerCase();
+    if (h === 'loginid') out.loginId = c + 1;
+    else if (h === 'name') out.name = c + 1;
+    else if (h === 'trigger #' || h.indexOf('trigger') !== -1) out.triggerNum = c + 1;
+    else if (h === 'email') out.email = c + 1;
+    else if (h === 'status') out.status = c + 1;
+    else if (h === 'notes') out.notes = c + 1;
+  }
+  if (!out.triggerNum) {
+    for (let c = 0; c < headerRow.length; c++) {
+      if (String(headerRow[c]).indexOf('Trigger') !== -1) { out.triggerNum = c + 1; break; }
+    }
+  }
+  return out;
+}
+
+/**
+ * Returns the last row with data in the given column (1-based). 0 if column is empty.
+ */
+function getNextLogRow(logSheet, colA1) {
+  const col = logSheet.getRange(1, colA1, logSheet.getMaxRows(), colA1);
+  const vals = col.getValues();
+  let last = 0;
+  for (let r = vals.length - 1; r >= 0; r--) {
+    if (vals[r][0] !== null && String(vals[r][0]).trim() !== '') {
+      last = r + 1;
+      break;
+    }
+  }
+  return last;
+}
+
+/**
+ * Returns "Math" or "Reading" when the sheet is a subject dashboard, else null.
+ * Same check Move and Verify use: name contains "dashboard" and "math" or "reading".
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @returns {string|null}
+ */
+function getDashboardSubject(sheet) {
+  const name = sheet.getName().toLowerCase();
+  if (name.indexOf('dashboard') === -1) return null;
+  if (name.indexOf('math') !== -1) return 'Math';
+  if (name.indexOf('reading') !== -1) return 'Reading';
+  return null;
+}
+
+/**
+ * Math and Reading Dashboard sheets that exist, in that order.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet[]}
+ */
+function getDashboardSheets(ss) {
+  const sheets = [];
+  const mathSheet = ss.getSheetByName('Math Dashboard') || findSheetByName(ss, 'math', 'dashboard');
+  if (mathSheet) sheets.push(mathSheet);
+  const readingSheet = ss.getSheetByName('Reading Dashboard') || findSheetByName(ss, 'reading', 'dashboard');
+  if (readingSheet) sheets.push(readingSheet);
+  return sheets;
+}
+
+// --- Batches: undo last Move / Load / Auto-Triage ---
+// Every Move / Load / Auto-Triage gets a batch ID. Move stamps it on the Sent Log / Issue Log rows it appends;
+// each saves what it removes or overwrites to the hidden "Batch History" sheet (one row per saved row).
+const BATCH_HISTORY_SHEET_NAME = 'Batch History';
+const BATCH_HISTORY_HEADERS = ['Batch ID', 'Type', 'Created', 'Sheet', 'Kind', 'Row', 'Values (JSON)', 'Undone'];
+const BATCH_HISTORY_KEEP = 20; // most recent batches kept; older history is pruned
+
+/**
+ * New batch ID, e.g. "MOVE-20260213-154501-3fa2". The random suffix keeps two batches in the same second apart.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} type - "Move", "Load" or "Triage"
+ * @returns {string}
+ */
+function newBatchId(ss, type) {
+  return type.toUpperCase() + '-' + Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'yyyyMMdd-HHmmss') +
+    '-' + Utilities.getUuid().slice(0, 4);
+}
+
+/**
+ * Saves a batch to Batch History: one "batch" marker row (summary) plus one row per saved sheet row.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} batchId
+ * @param {string} type - "Move", "Load" or "Triage"
+ * @param {Object} summary - Shown when undoing (counts, sheet name)
+ * @param {{ sheet: string, kind: string, row: number, values: any[] }[]} records
+ */
+function saveBatch(ss, batchId, type, summary, records) {
+  let history = ss.getSheetByName(BATCH_HISTORY_SHEET_NAME);
+  if (!history) {
+    history = ss.insertSheet(BATCH_HISTORY_SHEET_NAME);
+    history.getRange(1, 1, 1, BATCH_HISTORY_HEADERS.length).setValues([BATCH_HISTORY_HEADERS]);
+    history.hideSheet();
+  }
+  const created = new Date();
+  const out = [[batchId, type, created, '', 'batch', '', JSON.stringify(summary), '']];
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    out.push([batchId, type, created, rec.sheet, rec.kind, rec.row, serializeRowValues(rec.values), '']);
+  }
+  history.getRange(history.getLastRow() + 1, 1, out.length, BATCH_HISTORY_HEADERS.length).setValues(out);
+  pruneBatchHistory(history);
+  debugLog('Batch', 'saved', { batchId: batchId, type: type, records: records.length });
+}
+
+/** Deletes history rows for all but the newest BATCH_HISTORY_KEEP batches (rows are in creation order). */
+function pruneBatchHistory(history) {
+  const lastRow = history.getLastRow();
+  if (lastRow < 2) return;
+  const ids = history.getRange(2, 1, lastRow - 1, 1).getValues();
+  const seen = [];
+  for (let r = 0; r < ids.length; r++) {
+    const id = String(ids[r][0]);
+    if (seen.indexOf(id) === -1) seen.push(id);
+  }
+  if (seen.length <= BATCH_HISTORY_KEEP) return;
+  const keepFrom = seen[seen.length - BATCH_HISTORY_KEEP];
+  for (let r = 0; r < ids.length; r++) {
+    if (String(ids[r][0]) === keepFrom) {
+      if (r > 0) history.deleteRows(2, r);
+      return;
+    }
+  }
+}
+
+/**
+ * Finds the newest batch of a type that hasn't been undone.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} type - "Move", "Load" or "Triage"
+ * @returns {{ batchId: string, created: Date, summary: Object, records: Object[], historyRows: number[] }|null}
+ */
+function findLastBatch(ss, type) {
+  const history = ss.getSheetByName(BATCH_HISTORY_SHEET_NAME);
+  if (!history || history.getLastRow() < 2) return null;
+  const data = history.getRange(2, 1, history.getLastRow() - 1, BATCH_HISTORY_HEADERS.length).getValues();
+  let batchId = null;
+  for (let r = data.length - 1; r >= 0; r--) {
+    if (data[r][1] === type && data[r][4] === 'batch' && !data[r][7]) { batchId = String(data[r][0]); break; }
+  }
+  if (!batchId) return null;
+  const batch = { batchId: batchId, created: null, summary: {}, records: [], historyRows: [] };
+  for (let r = 0; r < data.length; r++) {
+    if (String(data[r][0]) !== batchId) continue;
+    batch.historyRows.push(2 + r);
+    if (data[r][4] === 'batch') {
+      batch.created = data[r][2];
+      batch.summary = JSON.parse(data[r][6] || '{}');
+    } else {
+      batch.records.push({ sheet: String(data[r][3]), kind: String(data[r][4]), row: Number(data[r][5]), values: parseRowValues(data[r][6]) });
+    }
+  }
+  return batch;
+}
+
+/** Marks every history row of a batch as undone. */
+function markBatchUndone(ss, batch) {
+  const history = ss.getSheetByName(BATCH_HISTORY_SHEET_NAME);
+  const stamp = new Date();
+  for (let i = 0; i < batch.historyRows.length; i++) {
+    history.getRange(batch.historyRows[i], 8).setValue(stamp);
+  }
+}
+
+/** JSON for a row of cell values; Dates are kept as { $date: ms } so they restore as dates. */
+function serializeRowValues(values) {
+  return JSON.stringify(values.map(function (v) {
+    return (v && v.getTime) ? { $date: v.getTime() } : v;
+  }));
+}
+
+/** Inverse of serializeRowValues. */
+function parseRowValues(json) {
+  return JSON.parse(json || '[]').map(function (v) {
+    return (v && typeof v === 'object' && v.$date != null) ? new Date(v.$date) : v;
+  });
+}
+
+/**
+ * Saved copies of the non-empty work-area rows (I–O, with the Message ID) on a dashboard, for undoing Load.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @returns {{ sheet: string, kind: string, row: number, values: any[] }[]}
+ */
+function snapshotWorkArea(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < WORK_AREA_START_ROW) return [];
+  const data = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, WORK_AREA_ROW_COLS).getValues();
+  const out = [];
+  for (let r = 0; r < data.length; r++) {
+    if (!String(data[r][0] || '').trim()) continue;
+    out.push({ sheet: sheet.getName(), kind: 'work area', row: WORK_AREA_START_ROW + r, values: data[r] });
+  }
+  return out;
+}
+
+/** Menu: undoes the most recent Move (removes its log rows, puts the moved rows back on the dashboard). */
+function undoLastMove() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const batch = findLastBatch(ss, 'Move');
+    if (!batch) {
+      ui.alert('Nothing to undo', 'No Move found in Batch History.', ui.ButtonSet.OK);
+      return;
+    }
+    const s = batch.summary;
+    const confirm = ui.alert(
+      'Undo last Move',
+      'Batch ' + batch.batchId + ' (' + s.sheet + ')\nSent: ' + s.sent + ', Issues: ' + s.issues + '\n\n' +
+      'Remove those rows from Sent Log / Issue Log and put the ' + batch.records.length + ' row(s) back on the dashboard?',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    let removedSent = 0;
+    const sentLog = ss.getSheetByName(SENT_LOG_SHEET_NAME) ? getOrCreateSentLog(ss) : null;
+    if (sentLog && sentLog.getLastRow() >= 2) {
+      const ids = sentLog.getRange(2, SENT_LOG_BATCH_COL, sentLog.getLastRow() - 1, 1).getValues();
+      for (let r = ids.length - 1; r >= 0; r--) {
+        if (String(ids[r][0]) !== batch.batchId) continue;
+        sentLog.deleteRow(2 + r);
+        removedSent++;
+      }
+    }
+
+    let removedIssues = 0;
+    const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+    if (issueLog && issueLog.getLastRow() >= 2) {
+      const ids = issueLog.getRange(2, ISSUE_LOG_BATCH_COL, issueLog.getLastRow() - 1, 1).getValues();
+      for (let r = ids.length - 1; r >= 0; r--) {
+        if (String(ids[r][0]) !== batch.batchId) continue;
+        issueLog.deleteRow(2 + r);
+        removedIssues++;
+      }
+    }
+
+    let restored = 0;
+    const dashboard = ss.getSheetByName(s.sheet);
+    if (dashboard && batch.records.length > 0) {
+      // Whole rows go back at their original positions; lowest first, so each index is right once the ones above are back
+      const fullRows = batch.records.filter(function (rec) { return rec.kind === 'dashboard full row'; })
+        .sort(function (a, b) { return a.row - b.row; });
+      for (let i = 0; i < fullRows.length; i++) {
+        const rec = fullRows[i];
+        if (rec.row <= dashboard.getMaxRows()) dashboard.insertRowBefore(rec.row);
+        else dashboard.insertRowsAfter(dashboard.getMaxRows(), rec.row - dashboard.getMaxRows());
+        dashboard.getRange(rec.row, 1, 1, rec.values.length).setValues([rec.values]);
+        restored++;
+      }
+      // Moves from before whole rows were saved kept only I onward; those are appended to the work area
+      const rows = batch.records.filter(function (rec) { return rec.kind === 'dashboard row'; }).map(function (rec) { return rec.values; });
+      if (rows.length > 0) {
+        const width = rows.reduce(function (w, row) { return Math.max(w, row.length); }, 0);
+        for (let i = 0; i < rows.length; i++) {
+          while (rows[i].length < width) rows[i].push('');
+        }
+        const nextRow = Math.max(getNextLogRow(dashboard, WORK_AREA_START_COL) + 1, WORK_AREA_START_ROW);
+        dashboard.getRange(nextRow, WORK_AREA_START_COL, rows.length, width).setValues(rows);
+        restored += rows.length;
+      }
+    }
+    markBatchUndone(ss, batch);
+    debugLog('Undo', 'Move undone', { batchId: batch.batchId, removedSent: removedSent, removedIssues: removedIssues, restored: restored });
+    ui.alert(
+      'Undo complete',
+      'Batch ' + batch.batchId + '\nRemoved from Sent Log: ' + removedSent + '\nRemoved from Issue Log: ' + removedIssues +
+      '\nRows restored to ' + s.sheet + ': ' + restored + (dashboard ? '' : '\n\n"' + s.sheet + '" not found; rows not restored.'),
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Undo', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Undo error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/** Menu: undoes the most recent Load (restores both work areas and the Issue Log rows it brought back). */
+function undoLastLoad() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const batch = findLastBatch(ss, 'Load');
+    if (!batch) {
+      ui.alert('Nothing to undo', 'No Load found in Batch History.', ui.ButtonSet.OK);
+      return;
+    }
+    const s = batch.summary;
+    const confirm = ui.alert(
+      'Undo last Load',
+      'Batch ' + batch.batchId + '\nMath: ' + s.math + ' rows, Reading: ' + s.reading + ' rows, brought back from Issue Log: ' + s.broughtBack + '\n\n' +
+      'Put the work areas back as they were before this Load and reopen those Issue Log rows?\nAnything changed in the work areas since then will be overwritten.',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    const bySheet = {};
+    const issueRows = [];
+    for (let i = 0; i < batch.records.length; i++) {
+      const rec = batch.records[i];
+      if (rec.kind === 'issue row' || rec.kind === 'issue resolved') issueRows.push(rec);
+      else if (rec.kind === 'work area') (bySheet[rec.sheet] = bySheet[rec.sheet] || []).push(rec);
+    }
+    const sheetNames = s.sheets || Object.keys(bySheet);
+    for (let i = 0; i < sheetNames.length; i++) {
+      const sheet = ss.getSheetByName(sheetNames[i]);
+      if (!sheet) continue;
+      const recs = bySheet[sheetNames[i]] || [];
+      const endRow = recs.reduce(function (m, rec) { return Math.max(m, rec.row); }, sheet.getLastRow());
+      if (endRow >= WORK_AREA_START_ROW) {
+        sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, endRow - WORK_AREA_START_ROW + 1, WORK_AREA_ROW_COLS).clearContent();
+      }
+      for (let r = 0; r < recs.length; r++) {
+        // Snapshots from before the Message ID was carried hold only I:N
+        const values = recs[r].values.slice(0, WORK_AREA_ROW_COLS);
+        while (values.length < WORK_AREA_ROW_COLS) values.push('');
+        sheet.getRange(recs[r].row, WORK_AREA_START_COL, 1, WORK_AREA_ROW_COLS).setValues([values]);
+      }
+    }
+
+    if (issueRows.length > 0) {
+      const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+      issueRows.sort(function (a, b) { return a.row - b.row; });
+      const width = ISSUE_LOG_HEADERS.length;
+      const toAppend = [];
+      for (let i = 0; i < issueRows.length; i++) {
+        const rec = issueRows[i];
+        const values = rec.values.slice(0, width);
+        while (values.length < width) values.push('');
+        // Loads before resolution history deleted the row ('issue row'); newer ones tagged it Resolved in place
+        const row = rec.kind === 'issue resolved' ? findResolvedIssueRow(issueLog, rec) : 0;
+        if (row) issueLog.getRange(row, 1, 1, width).setValues([values]);
+        else toAppend.push(values);
+      }
+      if (toAppend.length > 0) issueLog.getRange(getNextLogRow(issueLog, 1) + 1, 1, toAppend.length, width).setValues(toAppend);
+    }
+    markBatchUndone(ss, batch);
+    debugLog('Undo', 'Load undone', { batchId: batch.batchId, issueRows: issueRows.length });
+    ui.alert('Undo complete', 'Batch ' + batch.batchId + '\nWork areas restored. Issue Log rows reopened: ' + issueRows.length, ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Undo', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Undo error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Issue Log row a Load resolved: the saved row number when it still holds that entry, else a search by
+ * LoginID + trigger + Batch ID among Resolved rows. 0 when it is gone.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} issueLog
+ * @param {{ row: number, values: any[] }} rec - Batch History record
+ * @returns {number}
+ */
+function findResolvedIssueRow(issueLog, rec) {
+  if (!issueLog || issueLog.getLastRow() < 2) return 0;
+  function same(row) {
+    return String(row[1]).trim() === String(rec.values[1]).trim() &&
+      normalizeTrigger(row[3]) === normalizeTrigger(rec.values[3]) &&
+      String(row[7]) === String(rec.values[7]) &&
+      String(row[6]).trim() === TAG_RESOLVED;
+  }
+  if (rec.row >= 2 && rec.row <= issueLog.getLastRow() && same(issueLog.getRange(rec.row, 1, 1, 8).getValues()[0])) return rec.row;
+  const data = issueLog.getRange(2, 1, issueLog.getLastRow() - 1, 8).getValues();
+  for (let r = 0; r < data.length; r++) {
+    if (same(data[r])) return 2 + r;
+  }
+  return 0;
+}
+
+/**
+ * Writes any missing header cells in row 1 (leaves existing headers alone).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} startCol - 1-based
+ * @param {string[]} headers
+ */
+function ensureHeaderCells(sheet, startCol, headers) {
+  const current = sheet.getRange(1, startCol, 1, headers.length).getValues()[0];
+  for (let c = 0; c < headers.length; c++) {
+    if (String(current[c] || '').trim() === '') sheet.getRange(1, startCol + c).setValue(headers[c]);
+  }
+}
+
+// --- Send: work area → Gmail ---
+// Work area I:N = LoginID, Name, Email (template name from Triggers), Trigger #, Status, Notes. O = Message ID.
+const WORK_AREA_STATUS_COL = WORK_AREA_START_COL + 4;  // M
+const WORK_AREA_NOTES_COL = WORK_AREA_START_COL + 5;   // N
+const WORK_AREA_MESSAGE_ID_COL = WORK_AREA_START_COL + WORK_AREA_COLS; // O
+const WORK_AREA_READ_COLS = 11; // I:S = work area, Message ID, ClassNavi Level / Lowest From / Lowest To / Error
+const STATUS_NOT_SENT = 'Not Sent';
+const STATUS_SENT = 'Sent';
+const SEND_LOCK_WAIT_MS = 30 * 1000; // a second Send waits this long for the first to finish
+
+/** Menu: sends the work-area rows in the current selection (any status except Sent; asks first about Issue rows). */
+function sendSelectedEmails() {
+  sendWorkAreaEmails(true);
+}
+
+/** Menu: sends every work-area row whose Status is "Not Sent". */
+function sendAllNotSentEmails() {
+  sendWorkAreaEmails(false);
+}
+
+/**
+ * Sends trigger emails for work-area rows on the active dashboard.
+ * Each row uses the template named in the Email column and goes to the family's address
+ * from the subject Data sheet. Sent rows get Status "Sent" and the Gmail message ID in O;
+ * failures get Status "Issue" with the error in Notes. Sending holds the document lock and re-reads each
+ * row first, so two people sending at once never email the same row twice.
+ * @param {boolean} onlySelected - true = rows in the active selection, false = all "Not Sent" rows
+ */
+function sendWorkAreaEmails(onlySelected) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getActiveSheet();
+    const subject = getDashboardSubject(sheet);
+    if (!subject) {
+      ui.alert('Wrong sheet', 'Please run this from "Math Dashboard" or "Reading Dashboard".', ui.ButtonSet.OK);
+      return;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < WORK_AREA_START_ROW) {
+      ui.alert('No data', 'No rows found in work area.', ui.ButtonSet.OK);
+      return;
+    }
+
+    let firstRow = WORK_AREA_START_ROW;
+    let endRow = lastRow;
+    if (onlySelected) {
+      const sel = sheet.getActiveRange();
+      if (!sel) {
+        ui.alert('No selection', 'Select the work-area rows to send.', ui.ButtonSet.OK);
+        return;
+      }
+      firstRow = Math.max(sel.getRow(), WORK_AREA_START_ROW);
+      endRow = Math.min(sel.getLastRow(), lastRow);
+    }
+    if (endRow < firstRow) {
+      ui.alert('No rows', 'The selection does not include any work-area rows (row ' + WORK_AREA_START_ROW + ' and below).', ui.ButtonSet.OK);
+      return;
+    }
+
+    const data = sheet.getRange(firstRow, WORK_AREA_START_COL, endRow - firstRow + 1, WORK_AREA_READ_COLS).getValues();
+    let pending = [];
+    const held = [];
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      const loginId = String(row[0] || '').trim();
+      if (!loginId) continue;
+      const status = String(row[4] || '').trim().toLowerCase();
+      if (status === STATUS_SENT.toLowerCase()) continue;
+      if (!onlySelected && status !== STATUS_NOT_SENT.toLowerCase()) continue;
+      pending.push({ sheetRow: firstRow + r, values: row });
+      if (status === TAG_ISSUE.toLowerCase() || status === TAG_ISSUE_ARCHIVE.toLowerCase()) held.push(pending[pending.length - 1]);
+    }
+    // Issue / Issue - Archive rows were kept back on purpose, so a selection only sends them when asked to
+    if (held.length > 0) {
+      const answer = ui.alert(
+        'Send Issue rows?',
+        held.length + ' selected row(s) are tagged ' + TAG_ISSUE + ' or ' + TAG_ISSUE_ARCHIVE + ':\n' +
+          held.slice(0, 15).map(function (p) { return 'Row ' + p.sheetRow + ' (' + p.values[0] + '): ' + p.values[4]; }).join('\n') + (held.length > 15 ? '\n…' : '') +
+          '\n\nYes = send them too. No = send only the other rows.',
+        ui.ButtonSet.YES_NO_CANCEL
+      );
+      if (answer === ui.Button.CANCEL || answer === ui.Button.CLOSE) return;
+      if (answer === ui.Button.NO) pending = pending.filter(function (p) { return held.indexOf(p) === -1; });
+    }
+    if (pending.length === 0) {
+      ui.alert('Nothing to send', onlySelected ? 'No unsent rows in the selection.' : 'No rows with Status "Not Sent".', ui.ButtonSet.OK);
+      return;
+    }
+
+    const quota = MailApp.getRemainingDailyQuota();
+    if (quota <= 0) {
+      ui.alert('Gmail quota reached', 'No emails left in today\'s Gmail sending quota. Try again tomorrow.', ui.ButtonSet.OK);
+      return;
+    }
+    const toSend = pending.slice(0, quota);
+
+    // Render everything first so template problems show up before anything goes out
+    const templateCache = {};
+    const problems = [];
+    for (let i = 0; i < toSend.length; i++) {
+      try {
+        toSend[i].email = buildTriggerEmail(ss, subject, toSend[i].values, templateCache);
+      } catch (e) {
+        toSend[i].error = e.message;
+        problems.push('Row ' + toSend[i].sheetRow + ' (' + toSend[i].values[0] + '): ' + e.message);
       }
     }
-    merged.push([ent.loginId, ent.name, email, ent.triggerNum, 'Issue', ent.note]);
-    broughtBackKeys.push({ subject: subject, loginId: id, triggerNum: tr, sheetRow: ent.sheetRow });
-  }
-  debugLog('Load', 'merge counts', { sheet: sheetName, leftover: leftover.length, fromFilter: out.length, fromIssueLog: issueEntriesFromLog.length, merged: merged.length });
-  if (merged.length > 0) {
-    const cols = merged[0].length;
-    if (cols !== WORK_AREA_COLS) {
-      debugLog('Load', 'ERROR: merged row column count mismatch', { sheet: sheetName, mergedRows: merged.length, mergedCols: cols, expected: WORK_AREA_COLS });
-      throw new Error('Load [' + sheetName + ']: data has ' + cols + ' columns but work area expects ' + WORK_AREA_COLS + '. merged.length=' + merged.length + '. Check leftover and new rows have exactly 6 cells each.');
+    const confirm = ui.alert(
+      'Send emails',
+      'Send ' + (toSend.length - problems.length) + ' ' + subject + ' email(s) now?' +
+      (problems.length > 0 ? '\n\n' + problems.length + ' row(s) have template problems and will be marked Issue without sending:\n' + problems.slice(0, 15).join('\n') + (problems.length > 15 ? '\n…' : '') : '') +
+      (pending.length > toSend.length ? '\n\nOnly ' + quota + ' left in today\'s Gmail quota; ' + (pending.length - toSend.length) + ' row(s) will stay Not Sent.' : ''),
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    // One sender at a time: a second Send waits here, then sees the first one's Sent rows
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(SEND_LOCK_WAIT_MS)) {
+      ui.alert('Send busy', 'Someone else is sending (or ClassNavi verify is running) on this spreadsheet. Try again in a minute.', ui.ButtonSet.OK);
+      return;
     }
-    const endRow = Math.max(lastRow, 2 + clearMaxRows);
-    sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, endRow, WORK_AREA_COLS).clearContent();
-    sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, merged.length, WORK_AREA_COLS).setValues(merged);
-    debugLog('Load', 'write done', { sheet: sheetName, rows: merged.length, cols: WORK_AREA_COLS });
-    
-    // Wait 3 seconds, then do comprehensive verification and fill any missing emails
-    Utilities.sleep(3000);
-    SpreadsheetApp.flush();
-    
-    // Re-read the ENTIRE dashboard sheet to get current state (not stale data)
-    const currentLastRow = sheet.getLastRow();
-    const verifyNumRows = currentLastRow >= WORK_AREA_START_ROW ? currentLastRow - WORK_AREA_START_ROW + 1 : 0;
-    if (verifyNumRows > 0) {
-      // Re-read dashboard sheet data (rows 3+) with ALL columns to get fresh email data
-      const freshDataRange = sheet.getRange(3, 1, Math.max(currentLastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
-      const freshData = freshDataRange.getValues();
-      const freshHeaderRow = sheet.getRange(2, 1, 1, Math.max(sheet.getLastColumn(), 7)).getValues()[0];
-      const freshCol = getColumnIndices(freshHeaderRow);
-      const freshEmailCol = (freshCol.email && freshCol.email >= 1 && freshCol.email <= freshDataRange.getNumColumns()) ? freshCol.email - 1 : 5;
-      
-      const verifyRange = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, verifyNumRows, WORK_AREA_COLS);
-      const verifyData = verifyRange.getValues();
-      let updated = false;
-      
-      // Multiple verification passes to catch everything
-      for (let pass = 0; pass < 3; pass++) {
-        if (pass > 0) {
-          Utilities.sleep(1000);
-          SpreadsheetApp.flush();
-          // Re-read after each pass
-          const freshDataRange2 = sheet.getRange(3, 1, Math.max(currentLastRow - 2, 0), Math.max(sheet.getLastColumn(), 7));
-          const freshData2 = freshDataRange2.getValues();
-          for (let r = 0; r < verifyData.length; r++) {
-            const row = verifyData[r];
-            const loginId = String(row[0] || '').trim();
-            const triggerNum = row[3];
-            const email = String(row[2] || '').trim();
-            // If still missing email, try to find it
-            if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
-              let newEmail = '';
-              // Check fresh dashboard data (rows 3+) for this LoginID
-              for (let d = 0; d < freshData2.length; d++) {
-                const dataRow = freshData2[d];
-                const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
-                if (dataId === loginId) {
-                  newEmail = dataRow[freshEmailCol] != null ? String(dataRow[freshEmailCol]) : '';
-                  if (newEmail && newEmail.trim() !== '') break;
-                }
-              }
-              // Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
-              if (triggerNum != null && triggerNum !== '') {
-                newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
-              }
-              // Try subject Data sheet only if triggers didn't work
-              if (!newEmail || newEmail.trim() === '') {
-                newEmail = getEmailFromDataSheet(ss, subject, loginId);
-              }
-              // Try opposite Data sheet
-              if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
-                newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
-              }
-              if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
-                newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
-              }
-              if (newEmail && newEmail.trim() !== '') {
-                verifyData[r][2] = newEmail;
-                updated = true;
-                debugLog('Load', 'filled missing email (pass ' + (pass + 1) + ')', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
-              }
-            }
-          }
-        } else {
-          // First pass: check all rows
-          for (let r = 0; r < verifyData.length; r++) {
-            const row = verifyData[r];
-            const loginId = String(row[0] || '').trim();
-            const triggerNum = row[3];
-            const email = String(row[2] || '').trim();
-            if (loginId && triggerNum != null && triggerNum !== '' && (!email || email === '')) {
-              let newEmail = '';
-              // Check fresh dashboard data (rows 3+) for this LoginID
-              for (let d = 0; d < freshData.length; d++) {
-                const dataRow = freshData[d];
-                const dataId = String(dataRow[0] != null ? dataRow[0] : '').trim();
-                if (dataId === loginId) {
-                  newEmail = dataRow[freshEmailCol] != null ? String(dataRow[freshEmailCol]) : '';
-                  if (newEmail && newEmail.trim() !== '') break;
-                }
-              }
-              // Try triggers worksheet FIRST (if we have trigger number, we can ALWAYS get email)
-              if (triggerNum != null && triggerNum !== '') {
-                newEmail = getEmailFromTriggersSheet(ss, subject, triggerNum);
-              }
-              // Try subject Data sheet only if triggers didn't work
-              if (!newEmail || newEmail.trim() === '') {
-                newEmail = getEmailFromDataSheet(ss, subject, loginId);
-              }
-              // Try opposite Data sheet
-              if ((!newEmail || newEmail.trim() === '') && subject === 'Reading') {
-                newEmail = getEmailFromDataSheet(ss, 'Math', loginId);
-              }
-              if ((!newEmail || newEmail.trim() === '') && subject === 'Math') {
-                newEmail = getEmailFromDataSheet(ss, 'Reading', loginId);
-              }
-              if (newEmail && newEmail.trim() !== '') {
-                verifyData[r][2] = newEmail;
-                updated = true;
-                debugLog('Load', 'filled missing email (pass 1)', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
-              } else {
-                debugLog('Load', 'WARNING: could not find email', { sheet: sheetName, row: r + WORK_AREA_START_ROW, loginId: loginId, triggerNum: triggerNum });
-              }
-            }
-          }
+    let sentCount = 0;
+    let issueCount = 0;
+    const skipped = [];
+    try {
+      sheet.getRange(2, WORK_AREA_MESSAGE_ID_COL).setValue('Message ID');
+      for (let i = 0; i < toSend.length; i++) {
+        const item = toSend[i];
+        const note = String(item.values[5] || '');
+        const now = sheet.getRange(item.sheetRow, WORK_AREA_START_COL, 1, WORK_AREA_STATUS_COL - WORK_AREA_START_COL + 1).getValues()[0];
+        if (String(now[0] || '').trim() !== String(item.values[0] || '').trim() || String(now[4] || '').trim() !== String(item.values[4] || '').trim()) {
+          skipped.push('Row ' + item.sheetRow + ' (' + item.values[0] + ')');
+          continue;
         }
-        
-        if (updated && pass === 0) {
-          verifyRange.setValues(verifyData);
-          SpreadsheetApp.flush();
+        try {
+          if (item.error) throw new Error(item.error);
+          const messageId = sendTriggerEmail(item.email);
+          sheet.getRange(item.sheetRow, WORK_AREA_STATUS_COL, 1, 3).setValues([[STATUS_SENT, note, messageId]]);
+          sentCount++;
+          debugLog('Send', 'sent', { sheet: sheet.getName(), row: item.sheetRow, loginId: item.values[0], messageId: messageId });
+        } catch (e) {
+          sheet.getRange(item.sheetRow, WORK_AREA_STATUS_COL, 1, 2).setValues([[TAG_ISSUE, e.message]]);
+          issueCount++;
+          debugLog('Send', 'FAILED', { sheet: sheet.getName(), row: item.sheetRow, loginId: item.values[0], message: e.message });
         }
       }
-      
-      if (updated) {
-        verifyRange.setValues(verifyData);
-        SpreadsheetApp.flush();
-        debugLog('Load', 'verification complete - all emails filled', { sheet: sheetName, rowsChecked: verifyData.length });
+    } finally {
+      // Statuses are written before the lock is released, so a waiting Send re-reads them
+      SpreadsheetApp.flush();
+      lock.releaseLock();
+    }
+
+    ui.alert(
+      'Send complete',
+      subject + ': sent ' + sentCount + ', issues ' + issueCount + '.' +
+      (issueCount > 0 ? '\nFailed rows are marked "Issue" with the error in Notes.' : '') +
+      (skipped.length > 0 ? '\n\nNot sent because the row changed since you confirmed (someone else sent it, or it was moved): ' + skipped.slice(0, 15).join(', ') + (skipped.length > 15 ? ', …' : '') : '') +
+      '\n\nRun Move to log them.',
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Send', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Send error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Builds the email for one work-area row: recipient, rendered subject and HTML body.
+ * Throws with a readable message when the template, address or a placeholder value is missing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} subject - "Math" or "Reading"
+ * @param {any[]} row - Dashboard values I:S (work area, Message ID, ClassNavi P–S)
+ * @param {Object} templateCache - Shared across one run so templates are read once
+ * @returns {{ to: string, subject: string, htmlBody: string, templateName: string }}
+ */
+function buildTriggerEmail(ss, subject, row, templateCache) {
+  const loginId = String(row[0] || '').trim();
+  let templateName = String(row[2] || '').trim();
+  if (!templateName) templateName = getEmailFromTriggersSheet(ss, subject, row[3]);
+  if (!templateName) throw new Error('No email template for trigger ' + normalizeTrigger(row[3]) + ' (check the Triggers sheet).');
+  const template = getTriggerEmailTemplate(ss, templateName, templateCache);
+  if (!template) throw new Error('Template "' + templateName + '" not found in "' + EMAIL_TEMPLATES_SHEET_NAME + '" or Gmail drafts.');
+  const to = getFamilyEmailAddress(ss, subject, loginId);
+  if (!to) throw new Error('No family email address for ' + loginId + ' in ' + subject + ' Data or the other Data sheet.');
+
+  const vars = getTemplateVariables(subject, row);
+  const subj = renderTemplate(template.subject, vars, false);
+  const body = renderTemplate(template.htmlBody, vars, true);
+  const errors = subj.errors.concat(body.errors);
+  if (errors.length > 0) {
+    throw new Error('Template "' + templateName + '": ' + errors.filter(function (e, i, arr) { return arr.indexOf(e) === i; }).join('; '));
+  }
+  return { to: to, subject: subj.text, htmlBody: body.text, templateName: templateName };
+}
+
+/**
+ * Sends an email built by buildTriggerEmail.
+ * @param {{ to: string, subject: string, htmlBody: string }} email
+ * @returns {string} Gmail message ID
+ */
+function sendTriggerEmail(email) {
+  const draft = GmailApp.createDraft(email.to, email.subject, '', { htmlBody: email.htmlBody });
+  return draft.send().getId();
+}
+
+// --- Email templates ---
+// "Email Templates" sheet: Template Name (matches Triggers col B / E), Subject, HTML Body.
+// Gmail drafts whose subject equals the template name are the fallback.
+const EMAIL_TEMPLATES_SHEET_NAME = 'Email Templates';
+const EMAIL_TEMPLATE_HEADERS = ['Template Name', 'Subject', 'HTML Body'];
+/** Placeholders templates may use as {{Name}} or in {{#if Level}}…{{else}}…{{/if}} / {{#unless …}}. */
+const TEMPLATE_PLACEHOLDERS = ['Name', 'LoginID', 'Trigger', 'Subject', 'Level', 'LowestFrom', 'LowestTo'];
+
+/**
+ * Finds a template by name: "Email Templates" sheet first, then a Gmail draft with that subject.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} templateName
+ * @param {Object} cache - Filled on first call ({ sheet: {...}, drafts: {...} })
+ * @returns {{ subject: string, htmlBody: string }|null}
+ */
+function getTriggerEmailTemplate(ss, templateName, cache) {
+  const key = String(templateName).trim().toLowerCase();
+  if (!cache.sheet) {
+    cache.sheet = {};
+    const sheet = ss.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+    if (sheet && sheet.getLastRow() >= 2) {
+      const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, EMAIL_TEMPLATE_HEADERS.length).getValues();
+      for (let r = 0; r < data.length; r++) {
+        const name = String(data[r][0] || '').trim().toLowerCase();
+        if (name && !cache.sheet[name]) cache.sheet[name] = { subject: String(data[r][1] || ''), htmlBody: String(data[r][2] || '') };
+      }
+    }
+  }
+  if (cache.sheet[key]) return cache.sheet[key];
+  if (!cache.drafts) {
+    cache.drafts = {};
+    const drafts = GmailApp.getDrafts();
+    for (let i = 0; i < drafts.length; i++) {
+      const msg = drafts[i].getMessage();
+      const draftKey = String(msg.getSubject() || '').trim().toLowerCase();
+      if (draftKey && !cache.drafts[draftKey]) cache.drafts[draftKey] = { subject: msg.getSubject(), htmlBody: msg.getBody() };
+    }
+  }
+  return cache.drafts[key] || null;
+}
+
+/**
+ * Placeholder values for one dashboard row (I:S).
+ * @param {string} subject - "Math" or "Reading"
+ * @param {any[]} row
+ * @returns {Object<string, string>}
+ */
+function getTemplateVariables(subject, row) {
+  function str(v) { return v == null ? '' : String(v).trim(); }
+  return {
+    Name: str(row[1]),
+    LoginID: str(row[0]),
+    Trigger: normalizeTrigger(row[3]),
+    Subject: subject,
+    Level: str(row[7]),
+    LowestFrom: str(row[8]),
+    LowestTo: str(row[9])
+  };
+}
+
+/**
+ * Renders {{Placeholder}} values and {{#if X}}…{{else}}…{{/if}} / {{#unless X}}…{{/unless}} blocks.
+ * Errors: unknown placeholders, unbalanced blocks, and placeholders that are empty where they are used
+ * (wrap optional values in {{#if X}} to allow them to be blank).
+ * @param {string} text
+ * @param {Object<string, string>} vars
+ * @param {boolean} escapeHtml - true for HTML bodies
+ * @returns {{ text: string, errors: string[] }}
+ */
+function renderTemplate(text, vars, escapeHtml) {
+  const known = {};
+  for (let i = 0; i < TEMPLATE_PLACEHOLDERS.length; i++) known[TEMPLATE_PLACEHOLDERS[i].toLowerCase()] = TEMPLATE_PLACEHOLDERS[i];
+  function lookup(name) {
+    const canonical = known[String(name).toLowerCase()];
+    return canonical ? String(vars[canonical] != null ? vars[canonical] : '') : null;
+  }
+  const errors = [];
+  const stack = [];
+  let out = '';
+  function active() {
+    for (let i = 0; i < stack.length; i++) {
+      if (stack[i].inElse ? stack[i].cond : !stack[i].cond) return false;
+    }
+    return true;
+  }
+  const parts = String(text || '').split(/(\{\{[^{}]*\}\})/);
+  for (let p = 0; p < parts.length; p++) {
+    const part = parts[p];
+    const tag = /^\{\{\s*(.*?)\s*\}\}$/.exec(part);
+    if (!tag) {
+      if (active()) out += part;
+      continue;
+    }
+    const inner = tag[1];
+    let m;
+    if ((m = /^#(if|unless)\s+(\w+)$/i.exec(inner))) {
+      const value = lookup(m[2]);
+      if (value === null) errors.push('unknown placeholder {{' + m[2] + '}}');
+      const truthy = value !== null && value !== '';
+      stack.push({ type: m[1].toLowerCase(), cond: m[1].toLowerCase() === 'if' ? truthy : !truthy, inElse: false });
+    } else if (/^else$/i.test(inner)) {
+      if (stack.length === 0) errors.push('{{else}} outside a block');
+      else stack[stack.length - 1].inElse = true;
+    } else if ((m = /^\/(if|unless)$/i.exec(inner))) {
+      const top = stack.pop();
+      if (!top || top.type !== m[1].toLowerCase()) errors.push('unexpected {{/' + m[1] + '}}');
+    } else if (/^\w+$/.test(inner)) {
+      const value = lookup(inner);
+      if (value === null) {
+        errors.push('unknown placeholder {{' + inner + '}}');
+      } else if (active()) {
+        if (value === '') errors.push('missing value for {{' + inner + '}}');
+        out += escapeHtml ? value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;') : value;
+      }
+    } else {
+      errors.push('cannot read {{' + inner + '}}');
+    }
+  }
+  if (stack.length > 0) errors.push('unclosed {{#' + stack[stack.length - 1].type + '}} block');
+  return { text: out, errors: errors };
+}
+
+/**
+ * Creates the "Email Templates" sheet with headers if it doesn't exist.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getOrCreateTemplatesSheet(ss) {
+  let sheet = ss.getSheetByName(EMAIL_TEMPLATES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(EMAIL_TEMPLATES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, EMAIL_TEMPLATE_HEADERS.length).setValues([EMAIL_TEMPLATE_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Menu: renders every "Not Sent" row on the active dashboard without sending and lists
+ * missing templates, addresses and placeholder values.
+ */
+function checkEmailTemplates() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    getOrCreateTemplatesSheet(ss);
+    const sheet = ss.getActiveSheet();
+    const subject = getDashboardSubject(sheet);
+    if (!subject) {
+      ui.alert('Wrong sheet', 'Please run this from "Math Dashboard" or "Reading Dashboard".', ui.ButtonSet.OK);
+      return;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < WORK_AREA_START_ROW) {
+      ui.alert('No data', 'No rows found in work area.', ui.ButtonSet.OK);
+      return;
+    }
+    const data = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, WORK_AREA_READ_COLS).getValues();
+    const cache = {};
+    const problems = [];
+    let checked = 0;
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      if (!String(row[0] || '').trim()) continue;
+      if (String(row[4] || '').trim().toLowerCase() !== STATUS_NOT_SENT.toLowerCase()) continue;
+      checked++;
+      try {
+        buildTriggerEmail(ss, subject, row, cache);
+      } catch (e) {
+        problems.push('Row ' + (WORK_AREA_START_ROW + r) + ' (' + row[0] + '): ' + e.message);
+      }
+    }
+    ui.alert(
+      problems.length > 0 ? 'Template problems' : 'Templates OK',
+      'Checked ' + checked + ' Not Sent row(s).' +
+      (problems.length > 0 ? '\n\n' + problems.slice(0, 25).join('\n') + (problems.length > 25 ? '\n… and ' + (problems.length - 25) + ' more' : '') : '\nEvery row renders without errors.'),
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Templates', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Template check error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/**
+ * Looks up the family's email address for a LoginID: any column with "email" in its header
+ * whose value looks like an address, in the subject Data sheet first, then the other one.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} subject - "Math" or "Reading"
+ * @param {string} loginId
+ * @returns {string}
+ */
+function getFamilyEmailAddress(ss, subject, loginId) {
+  const order = subject === 'Math' ? ['Math', 'Reading'] : ['Reading', 'Math'];
+  const idStr = String(loginId).trim();
+  for (let s = 0; s < order.length; s++) {
+    const sheet = ss.getSheetByName(order[s] + ' Data') || findSheetByName(ss, order[s].toLowerCase(), 'data');
+    if (!sheet || sheet.getLastRow() < 2) continue;
+    const values = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+    const headerRow = values[0];
+    let loginCol = -1;
+    const emailCols = [];
+    for (let c = 0; c < headerRow.length; c++) {
+      const h = String(headerRow[c] || '').trim().toLowerCase();
+      if (h.replace(/\s+/g, '') === 'loginid') loginCol = c;
+      else if (h.indexOf('email') !== -1 || h.indexOf('e-mail') !== -1) emailCols.push(c);
+    }
+    if (loginCol < 0 || emailCols.length === 0) continue;
+    for (let r = 1; r < values.length; r++) {
+      if (String(values[r][loginCol] != null ? values[r][loginCol] : '').trim() !== idStr) continue;
+      for (let e = 0; e < emailCols.length; e++) {
+        const addr = String(values[r][emailCols[e]] || '').trim();
+        if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(addr)) return addr;
       }
     }
   }
-  return merged.length;
+  return '';
+}
+
+// --- Preview sidebar (PreviewSidebar.html): step through Not Sent rows before sending ---
+
+/** Menu: opens the preview sidebar for the active Math/Reading Dashboard. */
+function openPreviewSidebar() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  if (!getDashboardSubject(sheet)) {
+    ui.alert('Wrong sheet', 'Please run this from "Math Dashboard" or "Reading Dashboard".', ui.ButtonSet.OK);
+    return;
+  }
+  const html = HtmlService.createTemplateFromFile('PreviewSidebar');
+  html.sheetName = sheet.getName();
+  ui.showSidebar(html.evaluate().setTitle('Email Preview'));
 }
 
 /**
- * Finds 1-based column indices for LoginID, Name, Trigger #, Email, Status, Notes.
- * @param {any[]} headerRow - Row 1 values
- * @returns {{ loginId: number, name: number, triggerNum: number, email: number, status: number, notes: number }}
+ * Sidebar: rows to review on the dashboard.
+ * @param {string} sheetName
+ * @returns {{ sheetName: string, subject: string, rows: { sheetRow: number, loginId: string }[] }}
  */
-function getColumnIndices(headerRow) {
-  const out = { loginId: 0, name: 0, triggerNum: 0, email: 0, status: 0, notes: 0 };
-  for (let c = 0; c < headerRow.length; c++) {
-    const h = String(headerRow[c] || '').trim().toLowerCase();
-    if (h === 'loginid') out.loginId = c + 1;
-    else if (h === 'name') out.name = c + 1;
-    else if (h === 'trigger #' || h.indexOf('trigger') !== -1) out.triggerNum = c + 1;
-    else if (h === 'email') out.email = c + 1;
-    else if (h === 'status') out.status = c + 1;
-    else if (h === 'notes') out.notes = c + 1;
+function getPreviewQueue(sheetName) {
+  const sheet = getPreviewDashboard(sheetName);
+  const lastRow = sheet.getLastRow();
+  const rows = [];
+  if (lastRow >= WORK_AREA_START_ROW) {
+    const data = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, WORK_AREA_COLS).getValues();
+    for (let r = 0; r < data.length; r++) {
+      const loginId = String(data[r][0] || '').trim();
+      if (!loginId) continue;
+      if (String(data[r][4] || '').trim().toLowerCase() !== STATUS_NOT_SENT.toLowerCase()) continue;
+      rows.push({ sheetRow: WORK_AREA_START_ROW + r, loginId: loginId });
+    }
   }
-  if (!out.triggerNum) {
-    for (let c = 0; c < headerRow.length; c++) {
-      if (String(headerRow[c]).indexOf('Trigger') !== -1) { out.triggerNum = c + 1; break; }
+  return { sheetName: sheetName, subject: getDashboardSubject(sheet), rows: rows };
+}
+
+/**
+ * Sidebar: the fully rendered email for one row. Template problems come back in "error".
+ * @param {string} sheetName
+ * @param {number} sheetRow
+ * @returns {Object}
+ */
+function getPreviewEmail(sheetName, sheetRow) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getPreviewDashboard(sheetName);
+  const subject = getDashboardSubject(sheet);
+  const row = sheet.getRange(sheetRow, WORK_AREA_START_COL, 1, WORK_AREA_READ_COLS).getValues()[0];
+  const out = {
+    sheetRow: sheetRow,
+    loginId: String(row[0] || '').trim(),
+    name: String(row[1] || ''),
+    trigger: normalizeTrigger(row[3]),
+    status: String(row[4] || ''),
+    notes: String(row[5] || ''),
+    to: '',
+    subject: '',
+    htmlBody: '',
+    error: ''
+  };
+  try {
+    const email = buildTriggerEmail(ss, subject, row, {});
+    out.to = email.to;
+    out.subject = email.subject;
+    out.htmlBody = email.htmlBody;
+  } catch (e) {
+    out.error = e.message;
+  }
+  return out;
+}
+
+/**
+ * Sidebar: applies the reviewer's decision to one row.
+ * "approve" sends the email and sets Status Sent + Message ID; "issue" sets Status Issue with the note;
+ * "skip" leaves the row as it is.
+ * @param {string} sheetName
+ * @param {number} sheetRow
+ * @param {string} loginId - LoginID shown in the sidebar; refuses if the row has changed since
+ * @param {string} action - "approve", "issue" or "skip"
+ * @param {string} note
+ * @returns {{ status: string, notes: string, messageId: string }}
+ */
+function applyPreviewDecision(sheetName, sheetRow, loginId, action, note) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getPreviewDashboard(sheetName);
+  const subject = getDashboardSubject(sheet);
+  const row = sheet.getRange(sheetRow, WORK_AREA_START_COL, 1, WORK_AREA_READ_COLS).getValues()[0];
+  if (String(row[0] || '').trim() !== String(loginId).trim()) {
+    throw new Error('Row ' + sheetRow + ' no longer holds ' + loginId + ' (the work area changed). Reload the preview.');
+  }
+  const notes = String(row[5] || '');
+  if (action === 'skip') return { status: String(row[4] || ''), notes: notes, messageId: '' };
+  if (action === 'issue') {
+    const issueNote = String(note || '').trim() || notes;
+    sheet.getRange(sheetRow, WORK_AREA_STATUS_COL, 1, 2).setValues([[TAG_ISSUE, issueNote]]);
+    debugLog('Preview', 'marked Issue', { sheet: sheetName, row: sheetRow, loginId: loginId });
+    return { status: TAG_ISSUE, notes: issueNote, messageId: '' };
+  }
+  if (action !== 'approve') throw new Error('Unknown action: ' + action);
+  if (String(row[4] || '').trim().toLowerCase() === STATUS_SENT.toLowerCase()) {
+    throw new Error('Row ' + sheetRow + ' is already Sent.');
+  }
+  if (MailApp.getRemainingDailyQuota() <= 0) throw new Error('No emails left in today\'s Gmail sending quota.');
+  const messageId = sendTriggerEmail(buildTriggerEmail(ss, subject, row, {}));
+  sheet.getRange(2, WORK_AREA_MESSAGE_ID_COL).setValue('Message ID');
+  sheet.getRange(sheetRow, WORK_AREA_STATUS_COL, 1, 3).setValues([[STATUS_SENT, notes, messageId]]);
+  debugLog('Preview', 'approved and sent', { sheet: sheetName, row: sheetRow, loginId: loginId, messageId: messageId });
+  return { status: STATUS_SENT, notes: notes, messageId: messageId };
+}
+
+/**
+ * Resolves the dashboard the sidebar was opened on.
+ * @param {string} sheetName
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet}
+ */
+function getPreviewDashboard(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || !getDashboardSubject(sheet)) throw new Error('"' + sheetName + '" is not a Math or Reading Dashboard.');
+  return sheet;
+}
+
+// --- Student history sidebar (StudentHistory.html): Sent Log, Issue Log, dashboards and ClassNavi for one LoginID ---
+
+/** Menu: opens the history sidebar for the LoginID in the selected work-area row (or empty to type one). */
+function openStudentHistory() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  let loginId = '';
+  const range = sheet.getActiveRange();
+  if (getDashboardSubject(sheet) && range && range.getRow() >= WORK_AREA_START_ROW) {
+    loginId = String(sheet.getRange(range.getRow(), WORK_AREA_START_COL).getValue() || '').trim();
+  }
+  const html = HtmlService.createTemplateFromFile('StudentHistory');
+  html.loginId = loginId;
+  SpreadsheetApp.getUi().showSidebar(html.evaluate().setTitle('Student History'));
+}
+
+/**
+ * Everything known about one LoginID. Dates are formatted strings (the sidebar cannot receive Date objects).
+ * @param {string} loginId
+ * @returns {{ loginId: string, name: string, timeline: Object[], dashboards: Object[], roster: Object|null, warnings: string[] }}
+ *   timeline entries: { when, sortKey, kind: "Sent"|"Issue", subject, trigger, detail }, newest first
+ */
+function getStudentHistory(loginId) {
+  const id = String(loginId || '').trim();
+  if (!id) throw new Error('Enter a LoginID.');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tz = ss.getSpreadsheetTimeZone();
+  function fmt(v, pattern) {
+    return v instanceof Date ? Utilities.formatDate(v, tz, pattern) : String(v == null ? '' : v);
+  }
+  const out = { loginId: id, name: '', timeline: [], dashboards: [], roster: null, warnings: [] };
+
+  try {
+    const sent = readSentLog(ss, true);
+    for (let i = 0; i < sent.length; i++) {
+      const e = sent[i];
+      if (e.loginId !== id) continue;
+      if (!out.name && e.name) out.name = String(e.name);
+      out.timeline.push({
+        when: fmt(e.sent, 'yyyy-MM-dd HH:mm'),
+        sortKey: e.sent instanceof Date ? e.sent.getTime() : 0,
+        kind: 'Sent',
+        subject: e.subject,
+        trigger: normalizeTrigger(e.triggerNum),
+        detail: [e.template, e.sentBy ? 'by ' + e.sentBy : '', e.batchId].filter(String).join(' · ')
+      });
+    }
+  } catch (e) {
+    out.warnings.push(e.message);
+  }
+
+  const issueLog = ss.getSheetByName(ISSUE_LOG_SHEET_NAME);
+  if (issueLog && issueLog.getLastRow() >= 2) {
+    const data = issueLog.getRange(2, 1, issueLog.getLastRow() - 1, ISSUE_LOG_NUM_COLS).getValues();
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      if (String(row[1] != null ? row[1] : '').trim() !== id) continue;
+      if (!out.name && row[2]) out.name = String(row[2]);
+      out.timeline.push({
+        when: fmt(row[5], 'yyyy-MM-dd'),
+        sortKey: row[5] instanceof Date ? row[5].getTime() : 0,
+        kind: 'Issue',
+        subject: String(row[0] || ''),
+        trigger: normalizeTrigger(row[3]),
+        detail: [
+          String(row[6] || ''),
+          String(row[8] || ''),
+          row[9] ? 'assigned to ' + row[9] : '',
+          String(row[4] || ''),
+          row[10] ? 'resolved ' + fmt(row[10], 'yyyy-MM-dd') + (row[11] ? ': ' + row[11] : '') : '',
+          row[12] ? 'archived until ' + fmt(row[12], 'yyyy-MM-dd') + (row[13] === ARCHIVE_SCOPE_TRIGGER ? ' (this trigger only)' : '') : ''
+        ].filter(String).join(' – ')
+      });
+    }
+  }
+  out.timeline.sort(function (a, b) { return b.sortKey - a.sortKey; });
+
+  const dashboards = getDashboardSheets(ss);
+  for (let d = 0; d < dashboards.length; d++) {
+    const sheet = dashboards[d];
+    const lastRow = sheet.getLastRow();
+    if (lastRow < WORK_AREA_START_ROW) continue;
+    const width = CLASSNAVI_CROSS_FLAG_COL - WORK_AREA_START_COL + 1; // I:V
+    const data = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, width).getValues();
+    for (let r = 0; r < data.length; r++) {
+      const row = data[r];
+      if (String(row[0] != null ? row[0] : '').trim() !== id) continue;
+      if (!out.name && row[1]) out.name = String(row[1]);
+      out.dashboards.push({
+        sheet: sheet.getName(),
+        row: WORK_AREA_START_ROW + r,
+        trigger: normalizeTrigger(row[3]),
+        template: String(row[2] || ''),
+        status: String(row[4] || ''),
+        notes: String(row[5] || ''),
+        level: fmt(row[7]),
+        lowestFrom: fmt(row[8]),
+        lowestTo: fmt(row[9]),
+        classNaviError: String(row[10] || ''),
+        mathStatus: String(row[11] || ''),
+        readingStatus: String(row[12] || ''),
+        crossFlag: String(row[13] || '')
+      });
     }
   }
+
+  const rosterEntry = getRosterEntry(ss, id);
+  if (rosterEntry) {
+    out.roster = {
+      name: rosterEntry.name,
+      mathStatus: rosterEntry.mathStatus,
+      mathLevel: rosterEntry.mathLevel,
+      readingStatus: rosterEntry.readingStatus,
+      readingLevel: rosterEntry.readingLevel,
+      rosterStatus: rosterEntry.rosterStatus,
+      lastSynced: fmt(rosterEntry.lastSynced, 'yyyy-MM-dd HH:mm')
+    };
+    if (!out.name) out.name = rosterEntry.name;
+  }
   return out;
 }
 
+// --- Auto-triage: rules on ClassNavi results (P–V) set Status/Notes on Not Sent work-area rows ---
+// "Triage Rules" sheet, first matching enabled rule wins. Value "Trigger #" compares against the row's trigger.
+// Each run saves the work area (I:V) to Batch History first, so Undo Last Triage brings back dropped rows.
+const TRIAGE_RULES_SHEET_NAME = 'Triage Rules';
+const TRIAGE_RULES_HEADERS = ['Enabled', 'Rule', 'Field', 'Operator', 'Value', 'Action', 'Note'];
+const TRIAGE_DEFAULT_RULES = [
+  [true, 'Inactive → archive', 'ClassNavi Status', 'equals', 'inactive', TAG_ISSUE_ARCHIVE, 'Inactive in ClassNavi (auto-triage)'],
+  [true, 'Not enrolled → issue', 'ClassNavi Status', 'equals', 'not enrolled', TAG_ISSUE, 'Not enrolled in this subject in ClassNavi (auto-triage)'],
+  [true, 'Not found → issue', 'ClassNavi Error', 'equals', 'Not found in ClassNavi', TAG_ISSUE, 'Not found in ClassNavi (auto-triage)'],
+  // Off until Value is set to the worksheet page past which a reminder is no longer useful
+  [false, 'Past page → drop', 'Lowest From', 'greater than', '', 'Drop row', '']
+];
+const TRIAGE_ACTION_DROP = 'Drop row';
+// Field → 0-based index in a dashboard row read from I:V ("ClassNavi Status" = the dashboard's own subject)
+const TRIAGE_FIELDS = {
+  'loginid': 0, 'name': 1, 'trigger #': 3, 'level': 7, 'lowest from': 8, 'lowest to': 9,
+  'classnavi error': 10, 'math status': 11, 'reading status': 12, 'cross-subject': 13
+};
+
+/** Menu: applies the triage rules to the active dashboard's Not Sent rows after showing what would change. */
+function autoTriageWorkArea() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getActiveSheet();
+    const subject = getDashboardSubject(sheet);
+    if (!subject) {
+      ui.alert('Wrong sheet', 'Please run this from "Math Dashboard" or "Reading Dashboard".', ui.ButtonSet.OK);
+      return;
+    }
+    const rules = getTriageRules(ss);
+    if (rules.length === 0) {
+      ui.alert('No rules', 'No enabled rules in "' + TRIAGE_RULES_SHEET_NAME + '".', ui.ButtonSet.OK);
+      return;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < WORK_AREA_START_ROW) {
+      ui.alert('No data', 'No rows found in work area.', ui.ButtonSet.OK);
+      return;
+    }
+    const width = CLASSNAVI_CROSS_FLAG_COL - WORK_AREA_START_COL + 1; // I:V
+    const data = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, width).getValues();
+    const plan = planTriage(rules, data, subject);
+    if (plan.changes.length === 0) {
+      ui.alert('Auto-triage', 'No Not Sent rows match any rule.', ui.ButtonSet.OK);
+      return;
+    }
+    const summary = formatTriagePlan(rules, plan);
+    if (ui.alert('Auto-triage preview – ' + subject, summary + '\n\nApply these changes?', ui.ButtonSet.YES_NO) !== ui.Button.YES) return;
+
+    const batchId = newBatchId(ss, 'Triage');
+    const records = [];
+    for (let r = 0; r < data.length; r++) {
+      if (String(data[r][0] || '').trim()) records.push({ sheet: sheet.getName(), kind: 'triage area', row: WORK_AREA_START_ROW + r, values: data[r] });
+    }
+    saveBatch(ss, batchId, 'Triage', { sheet: sheet.getName(), changed: plan.changes.length }, records);
+
+    const drops = [];
+    for (let i = 0; i < plan.changes.length; i++) {
+      const c = plan.changes[i];
+      if (c.action === TRIAGE_ACTION_DROP) {
+        drops.push(c.sheetRow);
+      } else {
+        sheet.getRange(c.sheetRow, WORK_AREA_STATUS_COL, 1, 2).setValues([[c.action, c.notes]]);
+      }
+    }
+    // Drop = remove the row's I:V cells and shift the rows below up (A–G untouched)
+    drops.sort(function (a, b) { return b - a; });
+    for (let d = 0; d < drops.length; d++) {
+      sheet.getRange(drops[d], WORK_AREA_START_COL, 1, width).deleteCells(SpreadsheetApp.Dimension.ROWS);
+    }
+    SpreadsheetApp.flush();
+    debugLog('Triage', 'applied', { sheet: sheet.getName(), changed: plan.changes.length, dropped: drops.length, batchId: batchId });
+    ui.alert('Auto-triage complete', summary + '\n\nBatch ' + batchId + ' (Undo Last Triage reverses it).', ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Triage', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Auto-triage error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
+/** Menu: puts the work area (I:V) of the last triaged dashboard back as it was before that run. */
+function undoLastTriage() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const batch = findLastBatch(ss, 'Triage');
+    if (!batch) {
+      ui.alert('Nothing to undo', 'No Auto-Triage found in Batch History.', ui.ButtonSet.OK);
+      return;
+    }
+    const s = batch.summary;
+    const confirm = ui.alert(
+      'Undo last Auto-Triage',
+      'Batch ' + batch.batchId + ' (' + s.sheet + '), ' + s.changed + ' row(s) changed or dropped.\n\n' +
+      'Put the work area back as it was before this run?\nAnything changed in the work area since then will be overwritten.',
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+    const sheet = ss.getSheetByName(s.sheet);
+    if (!sheet) {
+      ui.alert('Undo error', '"' + s.sheet + '" not found; nothing restored.', ui.ButtonSet.OK);
+      return;
+    }
+    const width = CLASSNAVI_CROSS_FLAG_COL - WORK_AREA_START_COL + 1; // I:V
+    const endRow = batch.records.reduce(function (m, rec) { return Math.max(m, rec.row); }, sheet.getLastRow());
+    if (endRow >= WORK_AREA_START_ROW) {
+      sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, endRow - WORK_AREA_START_ROW + 1, width).clearContent();
+    }
+    for (let r = 0; r < batch.records.length; r++) {
+      const values = batch.records[r].values.slice(0, width);
+      while (values.length < width) values.push('');
+      sheet.getRange(batch.records[r].row, WORK_AREA_START_COL, 1, width).setValues([values]);
+    }
+    markBatchUndone(ss, batch);
+    debugLog('Undo', 'Triage undone', { batchId: batch.batchId, rows: batch.records.length });
+    ui.alert('Undo complete', 'Batch ' + batch.batchId + '\n' + batch.records.length + ' work-area row(s) restored on ' + s.sheet + '.', ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Undo', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Undo error', e.message + '\n\nCheck View > Logs (Execution log) for details.', ui.ButtonSet.OK);
+    throw e;
+  }
+}
+
 /**
- * Returns the last row with data in the given column (1-based). 0 if column is empty.
+ * Enabled rules from the Triage Rules sheet (created with the default rules if missing).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {{ name: string, field: string, operator: string, value: string, action: string, note: string }[]}
  */
-function getNextLogRow(logSheet, colA1) {
-  const col = logSheet.getRange(1, colA1, logSheet.getMaxRows(), colA1);
-  const vals = col.getValues();
-  let last = 0;
-  for (let r = vals.length - 1; r >= 0; r--) {
-    if (vals[r][0] !== null && String(vals[r][0]).trim() !== '') {
-      last = r + 1;
+function getTriageRules(ss) {
+  let sheet = ss.getSheetByName(TRIAGE_RULES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(TRIAGE_RULES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, TRIAGE_RULES_HEADERS.length).setValues([TRIAGE_RULES_HEADERS]);
+    sheet.getRange(2, 1, TRIAGE_DEFAULT_RULES.length, TRIAGE_RULES_HEADERS.length).setValues(TRIAGE_DEFAULT_RULES);
+    sheet.getRange(2, 1, 100, 1).insertCheckboxes();
+    sheet.setFrozenRows(1);
+  }
+  if (sheet.getLastRow() < 2) return [];
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, TRIAGE_RULES_HEADERS.length).getValues();
+  const rules = [];
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    if (row[0] !== true && String(row[0]).toUpperCase() !== 'TRUE') continue;
+    const field = String(row[2] || '').trim();
+    const action = String(row[5] || '').trim();
+    if (!field || !action) continue;
+    rules.push({
+      name: String(row[1] || '').trim() || ('Rule ' + (r + 2)),
+      field: field,
+      operator: String(row[3] || 'equals').trim().toLowerCase(),
+      value: String(row[4] != null ? row[4] : '').trim(),
+      action: action,
+      note: String(row[6] || '').trim()
+    });
+  }
+  return rules;
+}
+
+/**
+ * Matches rules against Not Sent rows (I:V values). First matching rule per row wins.
+ * @param {Object[]} rules - From getTriageRules
+ * @param {any[][]} data - Work area rows from WORK_AREA_START_ROW, I:V
+ * @param {string} subject - "Math" or "Reading"
+ * @returns {{ changes: { sheetRow: number, loginId: string, rule: number, action: string, notes: string }[], unknownFields: string[] }}
+ */
+function planTriage(rules, data, subject) {
+  const plan = { changes: [], unknownFields: [] };
+  for (let r = 0; r < data.length; r++) {
+    const row = data[r];
+    const loginId = String(row[0] || '').trim();
+    if (!loginId) continue;
+    if (String(row[4] || '').trim().toLowerCase() !== STATUS_NOT_SENT.toLowerCase()) continue;
+    for (let k = 0; k < rules.length; k++) {
+      const rule = rules[k];
+      const fieldKey = rule.field.toLowerCase();
+      let idx = TRIAGE_FIELDS[fieldKey];
+      if (fieldKey === 'classnavi status') idx = subject === 'Math' ? TRIAGE_FIELDS['math status'] : TRIAGE_FIELDS['reading status'];
+      if (idx == null) {
+        if (plan.unknownFields.indexOf(rule.field) === -1) plan.unknownFields.push(rule.field);
+        continue;
+      }
+      const compareTo = rule.value.toLowerCase() === 'trigger #' ? normalizeTrigger(row[3]) : rule.value;
+      if (!triageMatches(row[idx], rule.operator, compareTo)) continue;
+      const existing = String(row[5] || '').trim();
+      const notes = rule.note ? (existing ? existing + ' | ' + rule.note : rule.note) : existing;
+      plan.changes.push({ sheetRow: WORK_AREA_START_ROW + r, loginId: loginId, rule: k, action: rule.action, notes: notes });
       break;
     }
   }
-  return last;
+  return plan;
+}
+
+/**
+ * @param {any} cell
+ * @param {string} operator - equals, contains, greater than, less than, is blank, is not blank
+ * @param {string} value
+ * @returns {boolean}
+ */
+function triageMatches(cell, operator, value) {
+  const text = cell == null ? '' : String(cell).trim();
+  switch (operator) {
+    case 'equals': return text.toLowerCase() === value.toLowerCase();
+    case 'contains': return value !== '' && text.toLowerCase().indexOf(value.toLowerCase()) !== -1;
+    case 'greater than':
+    case 'less than': {
+      if (text === '' || value === '') return false;
+      const a = Number(text);
+      const b = Number(value);
+      if (isNaN(a) || isNaN(b)) return false;
+      return operator === 'greater than' ? a > b : a < b;
+    }
+    case 'is blank': return text === '';
+    case 'is not blank': return text !== '';
+    default: return false;
+  }
+}
+
+/** Summary of a triage plan: rows changed per rule. */
+function formatTriagePlan(rules, plan) {
+  const lines = [];
+  for (let k = 0; k < rules.length; k++) {
+    const hits = plan.changes.filter(function (c) { return c.rule === k; });
+    if (hits.length === 0) continue;
+    const rows = hits.slice(0, 40).map(function (c) { return c.sheetRow + ' (' + c.loginId + ')'; }).join(', ');
+    lines.push(rules[k].name + ' → ' + rules[k].action + ': ' + hits.length + ' row(s)\n  ' + rows + (hits.length > 40 ? ', …' : ''));
+  }
+  if (plan.unknownFields.length > 0) {
+    lines.push('Skipped rules with unknown Field: ' + plan.unknownFields.join(', '));
+  }
+  return lines.join('\n');
 }
 
 // --- ClassNavi verify (page verification from Kumon API) ---
 const CLASSNAVI_BASE_URL = 'https://instructor2.digital.kumon.com/USA';
-const CLASSNAVI_LOGIN_ID = '404653110035';
-const CLASSNAVI_PASSWORD_HASH = 't4lBET8jlgtti7RBBY2tOMrZJ%2FvY2Nfe3Qgt4eI7FEI%3D';
+// Credentials live in User Properties (set via menu → ClassNavi Settings); Script Properties with the
+// same keys are the shared fallback. Never put them in source.
+const CLASSNAVI_PROP_LOGIN_ID = 'CLASSNAVI_LOGIN_ID';
+const CLASSNAVI_PROP_PASSWORD_HASH = 'CLASSNAVI_PASSWORD_HASH';
 const CLASSNAVI_STATUS_CELL_ROW = 1;
 const CLASSNAVI_STATUS_CELL_COL = 20; // T
 const CLASSNAVI_RESULT_START_COL = 16; // P = Level, Q = Lowest From, R = Lowest To, S = Error
-const CLASSNAVI_INACTIVE_MATH_COL = 20;   // T = Math Inactive (Y/N)
-const CLASSNAVI_INACTIVE_READING_COL = 21; // U = Reading Inactive (Y/N)
+const CLASSNAVI_INACTIVE_MATH_COL = 20;   // T = Math status (active / inactive / not enrolled / not found)
+const CLASSNAVI_INACTIVE_READING_COL = 21; // U = Reading status
+const CLASSNAVI_CROSS_FLAG_COL = 22;       // V = inactive in one subject but active in the other
+const CLASSNAVI_RESULT_COLS = CLASSNAVI_CROSS_FLAG_COL - CLASSNAVI_RESULT_START_COL + 1; // P:V
+const CLASSNAVI_PROP_BASE_URL = 'CLASSNAVI_BASE_URL'; // Script Property override, e.g. a local stub server for offline testing
+const CLASSNAVI_ROSTER_CACHE_SECONDS = 30 * 60;
+const CLASSNAVI_MAX_RETRIES = 4;         // retries per request on 429 / 5xx, exponential backoff
+const CLASSNAVI_BACKOFF_BASE_MS = 1000;  // 1s, 2s, 4s, 8s (or Retry-After when the server sends it)
+const CLASSNAVI_REQUEST_BUDGET = 1000;   // API requests allowed per run
+const CLASSNAVI_MIN_INTERVAL_MS = 300;   // spacing between requests to the live server
+
+// Transport: function ({ url, method, contentType, payload, headers }) → { code, text, headers }.
+// null = UrlFetchApp. Swap with classNaviSetTransport (e.g. classNaviRecordedTransport) to run offline.
+var classNaviTransport = null;
+
+/**
+ * Replaces the HTTP transport for the rest of this execution. Pass null to go back to UrlFetchApp.
+ * @param {function(Object): { code: number, text: string, headers: Object }|null} transport
+ */
+function classNaviSetTransport(transport) {
+  classNaviTransport = transport || null;
+}
+
+/** Default transport: UrlFetchApp with HTTP errors returned rather than thrown. */
+function classNaviUrlFetchTransport(request) {
+  var res = UrlFetchApp.fetch(request.url, {
+    method: request.method,
+    contentType: request.contentType,
+    payload: request.payload,
+    headers: request.headers,
+    muteHttpExceptions: true
+  });
+  return { code: res.getResponseCode(), text: res.getContentText(), headers: res.getHeaders() };
+}
+
+/**
+ * Transport that answers from recorded responses instead of the network.
+ * Keys are paths after the base URL ("/token", "/api/ATX0010P/GetInstructorInfo", …); a value is one
+ * response ({ code, text } or { code, json }) or an array used in order (the last one repeats).
+ * Unknown paths get a 404.
+ * @param {Object<string, Object|Object[]>} recordings
+ * @returns {function(Object): { code: number, text: string, headers: Object }}
+ */
+function classNaviRecordedTransport(recordings) {
+  var used = {};
+  return function (request) {
+    var path = request.url.replace(classNaviBaseUrl(), '');
+    var entry = recordings[path];
+    if (!entry) return { code: 404, text: 'No recorded response for ' + path, headers: {} };
+    if (Array.isArray(entry)) {
+      var n = used[path] || 0;
+      used[path] = n + 1;
+      entry = entry[Math.min(n, entry.length - 1)];
+    }
+    return {
+      code: entry.code || 200,
+      text: entry.text != null ? entry.text : JSON.stringify(entry.json || {}),
+      headers: entry.headers || {}
+    };
+  };
+}
+
+/** Base URL: Script Property CLASSNAVI_BASE_URL if set, else the live ClassNavi server. */
+function classNaviBaseUrl() {
+  return PropertiesService.getScriptProperties().getProperty(CLASSNAVI_PROP_BASE_URL) || CLASSNAVI_BASE_URL;
+}
+
+/**
+ * Sends one request through the transport with pacing, the per-run budget and retries:
+ * 429 / 5xx / network errors back off exponentially (honouring Retry-After) up to CLASSNAVI_MAX_RETRIES.
+ * @param {Object} request - { url, method, contentType, payload, headers }
+ * @param {Object} [session] - Counts against its budget when given
+ * @returns {{ code: number, text: string, headers: Object }}
+ */
+function classNaviFetch(request, session) {
+  var transport = classNaviTransport || classNaviUrlFetchTransport;
+  for (var attempt = 0; ; attempt++) {
+    if (session) {
+      if (session.requests >= session.budget) {
+        var budgetErr = new Error('ClassNavi request budget (' + session.budget + ') used up for this run.');
+        budgetErr.classNaviBudget = true;
+        throw budgetErr;
+      }
+      session.requests++;
+      var wait = session.lastRequestAt + CLASSNAVI_MIN_INTERVAL_MS - Date.now();
+      if (wait > 0 && !classNaviTransport) Utilities.sleep(wait);
+      session.lastRequestAt = Date.now();
+    }
+    var res = null;
+    var networkError = null;
+    try {
+      res = transport(request);
+    } catch (e) {
+      networkError = e;
+    }
+    var retryable = networkError || res.code === 429 || res.code >= 500;
+    if (!retryable) return res;
+    if (attempt >= CLASSNAVI_MAX_RETRIES) {
+      if (networkError) throw networkError;
+      return res;
+    }
+    var delay = CLASSNAVI_BACKOFF_BASE_MS * Math.pow(2, attempt);
+    var retryAfter = res && res.headers && (res.headers['Retry-After'] || res.headers['retry-after']);
+    if (retryAfter && !isNaN(Number(retryAfter))) delay = Math.max(delay, Number(retryAfter) * 1000);
+    debugLog('ClassNavi', 'retrying', { url: request.url, code: res ? res.code : 'network', attempt: attempt + 1, delayMs: delay });
+    if (!classNaviTransport) Utilities.sleep(Math.min(delay, 60000));
+  }
+}
+
+function classNaviClientObject(id) {
+  if (id == null) id = Date.now();
+  return {
+    applicationName: 'Class-Navi',
+    version: '1.0.0.0',
+    programName: 'Class-Navi',
+    machineName: '-',
+    os: 'Web',
+    id: String(id)
+  };
+}
+
+/**
+ * Requests an access token (grant_type=password).
+ * @param {string} loginId
+ * @param {string} passwordHash - NaviPasswordHash cookie value (already URL-encoded)
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds (0 if the server didn't say)
+ */
+function classNaviRequestToken(loginId, passwordHash) {
+  const usernameEncoded = 'USA%2F' + encodeURIComponent(String(loginId).trim());
+  // Hash from NaviPasswordHash cookie is already URL-encoded; use as-is
+  const body = 'grant_type=password&username=' + usernameEncoded + '&password=' + String(passwordHash).trim();
+  const res = classNaviFetch({
+    url: classNaviBaseUrl() + '/token',
+    method: 'post',
+    contentType: 'application/x-www-form-urlencoded',
+    payload: body,
+    headers: {
+      'Accept': 'application/json, text/plain, */*',
+      'Origin': 'https://instructor2.digital.kumon.com',
+      'Referer': 'https://instructor2.digital.kumon.com/USA/'
+    }
+  });
+  const code = res.code;
+  const text = res.text;
+  if (code === 400 || code === 401) {
+    var authErr = new Error('ClassNavi rejected the stored login (' + code + '). The credential has probably expired: ' +
+      'open KNA Email Sender → ClassNavi Settings and paste a fresh NaviPasswordHash value.');
+    authErr.classNaviAuth = true;
+    throw authErr;
+  }
+  if (code !== 200) {
+    throw new Error('ClassNavi login failed (' + code + '): ' + text.substring(0, 200));
+  }
+  const data = JSON.parse(text);
+  if (!data || !data.access_token) {
+    var tokenErr = new Error('ClassNavi login: no access_token. Open KNA Email Sender → ClassNavi Settings and paste a fresh NaviPasswordHash value.');
+    tokenErr.classNaviAuth = true;
+    throw tokenErr;
+  }
+  return { token: data.access_token, expiresIn: Number(data.expires_in) || 0 };
+}
+
+/**
+ * Stored ClassNavi credentials: User Properties first, then Script Properties.
+ * @returns {{ loginId: string, passwordHash: string }|null} null when either value is missing
+ */
+function getClassNaviCredentials() {
+  var userProps = PropertiesService.getUserProperties();
+  var scriptProps = PropertiesService.getScriptProperties();
+  var loginId = userProps.getProperty(CLASSNAVI_PROP_LOGIN_ID) || scriptProps.getProperty(CLASSNAVI_PROP_LOGIN_ID) || '';
+  var passwordHash = userProps.getProperty(CLASSNAVI_PROP_PASSWORD_HASH) || scriptProps.getProperty(CLASSNAVI_PROP_PASSWORD_HASH) || '';
+  if (!loginId || !passwordHash) return null;
+  return { loginId: loginId, passwordHash: passwordHash };
+}
+
+/**
+ * Opens a ClassNavi session: a cached access token (User Cache) or a fresh login, plus the per-run
+ * request budget. classNaviApiCall logs in again by itself when the token is rejected.
+ * @param {{ loginId: string, passwordHash: string }} creds
+ * @param {{ useCache?: boolean, budget?: number }} [options]
+ * @returns {{ loginId: string, passwordHash: string, token: string, requests: number, budget: number, lastRequestAt: number, useCache: boolean }}
+ */
+function classNaviOpenSession(creds, options) {
+  options = options || {};
+  var session = {
+    loginId: creds.loginId,
+    passwordHash: creds.passwordHash,
+    token: null,
+    requests: 0,
+    budget: options.budget || CLASSNAVI_REQUEST_BUDGET,
+    lastRequestAt: 0,
+    useCache: options.useCache !== false
+  };
+  if (session.useCache) session.token = CacheService.getUserCache().get(classNaviCacheKey('token', creds.loginId));
+  if (!session.token) classNaviRefreshToken(session);
+  return session;
+}
+
+/** Logs in again and caches the token for its lifetime (capped at the 6h CacheService limit). */
+function classNaviRefreshToken(session) {
+  var result = classNaviRequestToken(session.loginId, session.passwordHash);
+  session.token = result.token;
+  if (session.useCache) {
+    var ttl = Math.min(Math.max((result.expiresIn || 3600) - 120, 60), 21600);
+    CacheService.getUserCache().put(classNaviCacheKey('token', session.loginId), result.token, ttl);
+  }
+}
+
+/** Drops the cached token and roster for a login (after the credential changes). */
+function classNaviForgetSession(loginId) {
+  var cache = CacheService.getUserCache();
+  cache.remove(classNaviCacheKey('token', loginId));
+  cache.remove(classNaviCacheKey('roster', loginId));
+}
+
+function classNaviCacheKey(kind, loginId) {
+  return 'classnavi_' + kind + '_' + String(loginId).trim();
+}
+
+/**
+ * Logs in with the stored credentials. When they are missing or rejected, tells the user and offers
+ * to open ClassNavi Settings. Returns null in that case.
+ * @param {GoogleAppsScript.Base.Ui} ui
+ * @returns {Object|null} Session from classNaviOpenSession
+ */
+function classNaviLoginWithStoredCredentials(ui) {
+  var creds = getClassNaviCredentials();
+  if (!creds) {
+    if (ui.alert('ClassNavi not set up', 'No ClassNavi login is stored yet. Open ClassNavi Settings now?', ui.ButtonSet.YES_NO) === ui.Button.YES) {
+      openClassNaviSettings();
+    }
+    return null;
+  }
+  try {
+    return classNaviOpenSession(creds);
+  } catch (e) {
+    if (e.classNaviAuth) {
+      if (ui.alert('ClassNavi sign-in expired', e.message + '\n\nOpen ClassNavi Settings now?', ui.ButtonSet.YES_NO) === ui.Button.YES) {
+        openClassNaviSettings();
+      }
+    } else {
+      ui.alert('ClassNavi login failed', e.message, ui.ButtonSet.OK);
+    }
+    return null;
+  }
+}
 
-function classNaviClientObject(id) {
-  if (id == null) id = Date.now();
+/** Menu: dialog to enter, test and store the ClassNavi login (ClassNaviSettings.html). */
+function openClassNaviSettings() {
+  var html = HtmlService.createHtmlOutputFromFile('ClassNaviSettings').setWidth(420).setHeight(330);
+  SpreadsheetApp.getUi().showModalDialog(html, 'ClassNavi Settings');
+}
+
+/**
+ * Dialog: current settings (never returns the credential itself).
+ * @returns {{ loginId: string, hasCredential: boolean, source: string }}
+ */
+function getClassNaviSettings() {
+  var userProps = PropertiesService.getUserProperties();
+  var userLogin = userProps.getProperty(CLASSNAVI_PROP_LOGIN_ID);
+  var creds = getClassNaviCredentials();
   return {
-    applicationName: 'Class-Navi',
-    version: '1.0.0.0',
-    programName: 'Class-Navi',
-    machineName: '-',
-    os: 'Web',
-    id: String(id)
+    loginId: creds ? creds.loginId : (userLogin || ''),
+    hasCredential: !!creds,
+    source: !creds ? '' : (userLogin ? 'your user settings' : 'shared script settings')
   };
 }
 
-function classNaviLogin(loginId, passwordHash) {
-  const usernameEncoded = 'USA%2F' + encodeURIComponent(String(loginId).trim());
-  // Hash from NaviPasswordHash cookie is already URL-encoded; use as-is
-  const body = 'grant_type=password&username=' + usernameEncoded + '&password=' + String(passwordHash).trim();
-  const res = UrlFetchApp.fetch(CLASSNAVI_BASE_URL + '/token', {
-    method: 'post',
-    contentType: 'application/x-www-form-urlencoded',
-    payload: body,
-    muteHttpExceptions: true,
-    headers: {
-      'Accept': 'application/json, text/plain, */*',
-      'Origin': 'https://instructor2.digital.kumon.com',
-      'Referer': 'https://instructor2.digital.kumon.com/USA/'
-    }
-  });
-  const code = res.getResponseCode();
-  const text = res.getContentText();
-  if (code !== 200) {
-    throw new Error('ClassNavi login failed (' + code + '): ' + text.substring(0, 200));
-  }
-  const data = JSON.parse(text);
-  if (!data || !data.access_token) {
-    throw new Error('ClassNavi login: no access_token. Get a fresh hash from NaviPasswordHash cookie.');
+/**
+ * Dialog: tests a login and stores it in User Properties only if ClassNavi accepts it.
+ * An empty password hash re-tests with the stored one (to change only the login ID).
+ * @param {string} loginId
+ * @param {string} passwordHash - NaviPasswordHash cookie value (already URL-encoded)
+ * @returns {string} Confirmation message
+ */
+function saveClassNaviSettings(loginId, passwordHash) {
+  loginId = String(loginId || '').trim();
+  passwordHash = String(passwordHash || '').trim();
+  if (!loginId) throw new Error('Enter the ClassNavi login ID.');
+  if (!passwordHash) {
+    var existing = getClassNaviCredentials();
+    if (!existing) throw new Error('Enter the NaviPasswordHash value.');
+    passwordHash = existing.passwordHash;
   }
-  return data.access_token;
+  var session = classNaviOpenSession({ loginId: loginId, passwordHash: passwordHash }, { useCache: false });
+  var info = classNaviGetInstructorInfo(session, loginId);
+  var props = PropertiesService.getUserProperties();
+  props.setProperty(CLASSNAVI_PROP_LOGIN_ID, loginId);
+  props.setProperty(CLASSNAVI_PROP_PASSWORD_HASH, passwordHash);
+  classNaviForgetSession(loginId);
+  debugLog('ClassNavi', 'settings saved', { loginId: loginId });
+  var who = info && (info.InstructorName || info.MainCenterName || info.MainCenterID);
+  return 'Login OK' + (who ? ' (' + who + ')' : '') + '. Saved to your user settings.';
+}
+
+/** Dialog: removes the credentials stored in User Properties. */
+function clearClassNaviSettings() {
+  var props = PropertiesService.getUserProperties();
+  var loginId = props.getProperty(CLASSNAVI_PROP_LOGIN_ID);
+  if (loginId) classNaviForgetSession(loginId);
+  props.deleteProperty(CLASSNAVI_PROP_LOGIN_ID);
+  props.deleteProperty(CLASSNAVI_PROP_PASSWORD_HASH);
+  return 'Removed your stored ClassNavi login.';
 }
 
-function classNaviApiCall(token, endpoint, body) {
-  const res = UrlFetchApp.fetch(CLASSNAVI_BASE_URL + endpoint, {
+function classNaviApiCall(session, endpoint, body) {
+  var request = {
+    url: classNaviBaseUrl() + endpoint,
     method: 'post',
     contentType: 'application/json',
     payload: JSON.stringify(body),
-    muteHttpExceptions: true,
-    headers: { 'Authorization': 'Bearer ' + token }
-  });
-  const code = res.getResponseCode();
-  const text = res.getContentText();
+    headers: { 'Authorization': 'Bearer ' + session.token }
+  };
+  var res = classNaviFetch(request, session);
+  if (res.code === 401) {
+    // Cached or expired token: log in again once and retry
+    debugLog('ClassNavi', '401, logging in again', { endpoint: endpoint });
+    classNaviRefreshToken(session);
+    request.headers = { 'Authorization': 'Bearer ' + session.token };
+    res = classNaviFetch(request, session);
+  }
+  const code = res.code;
+  const text = res.text;
   if (code !== 200) {
     throw new Error('ClassNavi API failed (' + code + '): ' + text.substring(0, 300));
   }
@@ -1124,8 +4570,8 @@ function classNaviApiCall(token, endpoint, body) {
   return data;
 }
 
-function classNaviGetInstructorInfo(token, loginId) {
-  return classNaviApiCall(token, '/api/ATX0010P/GetInstructorInfo', {
+function classNaviGetInstructorInfo(session, loginId) {
+  return classNaviApiCall(session, '/api/ATX0010P/GetInstructorInfo', {
     SystemCountryCD: 'USA',
     LoginID: loginId,
     client: classNaviClientObject()
@@ -1145,7 +4591,7 @@ function classNaviExtractStudentList(res) {
   return first || [];
 }
 
-function classNaviGetAllStudents(token, centerID, instructorID, instructorAssistantSec) {
+function classNaviGetAllStudents(session, centerID, instructorID, instructorAssistantSec) {
   var students = [];
   var pageSize = 100;
   var baseBody = {
@@ -1157,25 +4603,24 @@ function classNaviGetAllStudents(token, centerID, instructorID, instructorAssist
     client: classNaviClientObject()
   };
   var useStartNum = false;
-  var list = classNaviExtractStudentList(classNaviApiCall(token, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { Offset: 1, GetNum: pageSize })));
+  var list = classNaviExtractStudentList(classNaviApiCall(session, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { Offset: 1, GetNum: pageSize })));
   if (list.length === 0) {
-    list = classNaviExtractStudentList(classNaviApiCall(token, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { StartNum: 1, DispNum: pageSize })));
+    list = classNaviExtractStudentList(classNaviApiCall(session, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { StartNum: 1, DispNum: pageSize })));
     useStartNum = true;
   }
   while (list.length > 0) {
     for (var i = 0; i < list.length; i++) students.push(list[i]);
     if (list.length < pageSize) break;
-    Utilities.sleep(500);
     if (useStartNum) {
-      list = classNaviExtractStudentList(classNaviApiCall(token, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { StartNum: 1 + students.length, DispNum: pageSize })));
+      list = classNaviExtractStudentList(classNaviApiCall(session, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { StartNum: 1 + students.length, DispNum: pageSize })));
     } else {
-      list = classNaviExtractStudentList(classNaviApiCall(token, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { Offset: 1 + students.length, GetNum: pageSize })));
+      list = classNaviExtractStudentList(classNaviApiCall(session, '/api/ATE0010P/GetCenterAllStudentList', Object.assign({}, baseBody, { Offset: 1 + students.length, GetNum: pageSize })));
     }
   }
   return students;
 }
 
-function classNaviGetStudyResult(token, studentID, classID, classStudentSeq, subjectCD, centerID, worksheetCD) {
+function classNaviGetStudyResult(session, studentID, classID, classStudentSeq, subjectCD, centerID, worksheetCD) {
   var body = {
     SystemCountryCD: 'USA',
     StudentID: studentID,
@@ -1186,7 +4631,66 @@ function classNaviGetStudyResult(token, studentID, classID, classStudentSeq, sub
   };
   if (centerID) body.CenterID = centerID;
   if (worksheetCD) body.WorksheetCD = worksheetCD;
-  return classNaviApiCall(token, '/api/ATD0010P/GetStudyResultInfoList', body);
+  return classNaviApiCall(session, '/api/ATD0010P/GetStudyResultInfoList', body);
+}
+
+/**
+ * Instructor's center and full student list, cached in User Cache for CLASSNAVI_ROSTER_CACHE_SECONDS.
+ * @param {Object} session - From classNaviOpenSession
+ * @param {boolean} [forceRefresh] - Skip the cache and refetch
+ * @returns {{ centerID: string, instructorAssistantSec: string, students: Object[], fetchedAt: number }}
+ */
+function classNaviGetRoster(session, forceRefresh) {
+  var cache = CacheService.getUserCache();
+  var key = classNaviCacheKey('roster', session.loginId);
+  if (!forceRefresh && session.useCache) {
+    var cached = classNaviCacheGetLarge(cache, key);
+    if (cached) {
+      debugLog('ClassNavi', 'roster from cache', { students: cached.students.length });
+      return cached;
+    }
+  }
+  var instructorInfo = classNaviGetInstructorInfo(session, session.loginId);
+  var centerID = instructorInfo.MainCenterID || (instructorInfo.CenterInfoList && instructorInfo.CenterInfoList[0] && instructorInfo.CenterInfoList[0].CenterID);
+  var instructorAssistantSec = instructorInfo.InstructorAssistantSec || '2';
+  var roster = {
+    centerID: centerID,
+    instructorAssistantSec: instructorAssistantSec,
+    students: classNaviGetAllStudents(session, centerID, session.loginId, instructorAssistantSec),
+    fetchedAt: Date.now()
+  };
+  if (session.useCache) classNaviCachePutLarge(cache, key, roster, CLASSNAVI_ROSTER_CACHE_SECONDS);
+  return roster;
+}
+
+/** Stores a JSON value across several cache entries (each entry is limited to 100KB). */
+function classNaviCachePutLarge(cache, key, value, ttlSeconds) {
+  var json = JSON.stringify(value);
+  var chunkSize = 90000;
+  var entries = {};
+  var count = Math.ceil(json.length / chunkSize);
+  for (var i = 0; i < count; i++) entries[key + '_' + i] = json.substring(i * chunkSize, (i + 1) * chunkSize);
+  entries[key] = String(count);
+  try {
+    cache.putAll(entries, ttlSeconds);
+  } catch (e) {
+    debugLog('ClassNavi', 'cache put failed', { key: key, message: e.message });
+  }
+}
+
+/** Reads a value stored with classNaviCachePutLarge; null if missing or partly expired. */
+function classNaviCacheGetLarge(cache, key) {
+  var count = Number(cache.get(key));
+  if (!count) return null;
+  var keys = [];
+  for (var i = 0; i < count; i++) keys.push(key + '_' + i);
+  var parts = cache.getAll(keys);
+  var json = '';
+  for (var j = 0; j < keys.length; j++) {
+    if (parts[keys[j]] == null) return null;
+    json += parts[keys[j]];
+  }
+  return JSON.parse(json);
 }
 
 function classNaviComputeLowest(data) {
@@ -1214,135 +4718,767 @@ function classNaviComputeLowest(data) {
   return { minFrom: minFrom, minTo: minTo };
 }
 
+// --- Roster sheet: ClassNavi roster kept in the workbook (Sync Roster) ---
+const ROSTER_SHEET_NAME = 'Roster';
+const ROSTER_HEADERS = ['LoginID', 'StudentID', 'Name', 'Center', 'Math Status', 'Math Level', 'Reading Status', 'Reading Level', 'Roster Status', 'Last Synced'];
+const ROSTER_STATUS_ENROLLED = 'Enrolled';
+const ROSTER_STATUS_WITHDRAWN = 'Withdrawn';
+
+/** Menu: fetches the roster from ClassNavi and updates the Roster sheet. */
+function syncRosterFromClassNavi() {
+  var ui = SpreadsheetApp.getUi();
+  var session = classNaviLoginWithStoredCredentials(ui);
+  if (!session) return;
+  try {
+    var roster = classNaviGetRoster(session, true);
+    var result = syncRosterSheet(SpreadsheetApp.getActiveSpreadsheet(), roster);
+    ui.alert(
+      'Roster synced',
+      'ClassNavi students: ' + roster.students.length + '\nAdded: ' + result.added + '\nUpdated: ' + result.updated +
+      '\nMarked withdrawn: ' + result.withdrawn,
+      ui.ButtonSet.OK
+    );
+  } catch (e) {
+    debugLog('Roster', 'ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Roster sync failed', e.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Writes a ClassNavi roster into the Roster sheet: updates known LoginIDs, appends new ones and marks
+ * students no longer in the roster as Withdrawn (their last values and Last Synced are kept).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Object} roster - From classNaviGetRoster
+ * @returns {{ added: number, updated: number, withdrawn: number }}
+ */
+function syncRosterSheet(ss, roster) {
+  var sheet = ss.getSheetByName(ROSTER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ROSTER_SHEET_NAME);
+    sheet.getRange(1, 1, 1, ROSTER_HEADERS.length).setValues([ROSTER_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  var existing = sheet.getLastRow() >= 2 ? sheet.getRange(2, 1, sheet.getLastRow() - 1, ROSTER_HEADERS.length).getValues() : [];
+  var rowByLoginId = {};
+  for (var r = 0; r < existing.length; r++) {
+    var id = String(existing[r][0] || '').trim();
+    if (id) rowByLoginId[id] = r;
+  }
+  var now = new Date();
+  var seen = {};
+  var added = [];
+  var updated = 0;
+  for (var i = 0; i < roster.students.length; i++) {
+    var s = roster.students[i];
+    var loginId = (s.LoginID != null ? String(s.LoginID) : '') || (s.StudentID != null ? String(s.StudentID) : '');
+    if (!loginId || seen[loginId]) continue;
+    seen[loginId] = true;
+    var studyList = s.StudentStudyInfoList || [];
+    var math = classNaviFindStudy(studyList, '010');
+    var reading = classNaviFindStudy(studyList, '022');
+    var values = [
+      loginId,
+      s.StudentID != null ? String(s.StudentID) : '',
+      classNaviStudentName(s),
+      s.CenterName || s.CenterID || roster.centerID || '',
+      classNaviSubjectStatus(studyList, '010'),
+      math && math.NextWorksheetCD != null ? String(math.NextWorksheetCD) : '',
+      classNaviSubjectStatus(studyList, '022'),
+      reading && reading.NextWorksheetCD != null ? String(reading.NextWorksheetCD) : '',
+      ROSTER_STATUS_ENROLLED,
+      now
+    ];
+    if (rowByLoginId[loginId] != null) {
+      existing[rowByLoginId[loginId]] = values;
+      updated++;
+    } else {
+      added.push(values);
+    }
+  }
+  var withdrawn = 0;
+  for (var w = 0; w < existing.length; w++) {
+    var wid = String(existing[w][0] || '').trim();
+    if (!wid || seen[wid]) continue;
+    if (existing[w][8] !== ROSTER_STATUS_WITHDRAWN) {
+      existing[w][8] = ROSTER_STATUS_WITHDRAWN;
+      withdrawn++;
+    }
+  }
+  if (existing.length > 0) sheet.getRange(2, 1, existing.length, ROSTER_HEADERS.length).setValues(existing);
+  if (added.length > 0) sheet.getRange(2 + existing.length, 1, added.length, ROSTER_HEADERS.length).setValues(added);
+  debugLog('Roster', 'synced', { added: added.length, updated: updated, withdrawn: withdrawn });
+  return { added: added.length, updated: updated, withdrawn: withdrawn };
+}
+
+/**
+ * Roster sheet rows keyed by LoginID, for lookups without calling the API.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @returns {Object<string, { loginId: string, studentId: string, name: string, center: string, mathStatus: string, mathLevel: string, readingStatus: string, readingLevel: string, rosterStatus: string, lastSynced: Date }>}
+ */
+function getRosterIndex(ss) {
+  var out = {};
+  var sheet = ss.getSheetByName(ROSTER_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return out;
+  var data = sheet.getRange(2, 1, sheet.getLastRow() - 1, ROSTER_HEADERS.length).getValues();
+  for (var r = 0; r < data.length; r++) {
+    var row = data[r];
+    var id = String(row[0] || '').trim();
+    if (!id) continue;
+    out[id] = {
+      loginId: id,
+      studentId: String(row[1] || ''),
+      name: String(row[2] || ''),
+      center: String(row[3] || ''),
+      mathStatus: String(row[4] || ''),
+      mathLevel: String(row[5] || ''),
+      readingStatus: String(row[6] || ''),
+      readingLevel: String(row[7] || ''),
+      rosterStatus: String(row[8] || ''),
+      lastSynced: row[9]
+    };
+  }
+  return out;
+}
+
+/**
+ * One student from the Roster sheet, or null.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {string} loginId
+ */
+function getRosterEntry(ss, loginId) {
+  return getRosterIndex(ss)[String(loginId).trim()] || null;
+}
+
+/** Display name from a roster student (the list endpoint's name fields vary). */
+function classNaviStudentName(s) {
+  if (s.StudentName) return String(s.StudentName);
+  if (s.FullName) return String(s.FullName);
+  var last = s.LastName || s.StudentLastName || '';
+  var first = s.FirstName || s.StudentFirstName || '';
+  if (last || first) return last && first ? last + ', ' + first : String(last || first);
+  return s.Name ? String(s.Name) : '';
+}
+
+// --- Import from ClassNavi: builds Math Data / Reading Data from the roster instead of CSV downloads ---
+// Keeps the Data sheet's current header row (from the last Study Analysis CSV) so dashboard formulas still line up.
+// Columns ClassNavi has no data for (Trigger #, Send Email, often Email) keep each student's value from the last import.
+
+/** Menu: rebuilds Math Data and Reading Data from ClassNavi (CSV import stays available as a fallback). */
+function importFromClassNavi() {
+  var ui = SpreadsheetApp.getUi();
+  var session = classNaviLoginWithStoredCredentials(ui);
+  if (!session) return;
+  try {
+    var roster = classNaviGetRoster(session, true);
+    var ss = SpreadsheetApp.getActiveSpreadsheet();
+    var messages = [];
+    var subjects = ['Math', 'Reading'];
+    for (var i = 0; i < subjects.length; i++) {
+      try {
+        var result = importClassNaviSubject(ss, roster, subjects[i]);
+        messages.push(subjects[i] + ': ' + result.rows + ' students written to "' + result.sheetName + '"' +
+          '\n  Changes: ' + formatDataChanges(result.changes) +
+          (result.carried.length > 0 ? '\n  Kept from the last import (not available from ClassNavi): ' + result.carried.join(', ') +
+            (result.newStudents > 0 ? ' (blank for ' + result.newStudents + ' student(s) not in the last import)' : '') : '') +
+          (result.unmapped.length > 0 ? '\n  Left blank: ' + result.unmapped.join(', ') : ''));
+      } catch (e) {
+        messages.push(subjects[i] + ': error - ' + e.message);
+      }
+    }
+    ui.alert('Import from ClassNavi', messages.join('\n\n'), ui.ButtonSet.OK);
+  } catch (e) {
+    debugLog('Import', 'ClassNavi import ERROR', { message: e.message, stack: e.stack });
+    ui.alert('Import from ClassNavi failed', e.message + '\n\nThe Data sheets were not changed. CSV import still works.', ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Writes one subject's enrolled, active students to its Data sheet using that sheet's existing headers.
+ * Throws, leaving the sheet as it is, when LoginID or Name would come out blank for every student.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss
+ * @param {Object} roster - From classNaviGetRoster
+ * @param {string} subject - "Math" or "Reading"
+ * @returns {{ sheetName: string, rows: number, carried: string[], newStudents: number, unmapped: string[], changes: Object|null }}
+ */
+function importClassNaviSubject(ss, roster, subject) {
+  var sheetName = subject + ' Data';
+  var sheet = ss.getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 1 || sheet.getLastColumn() < 1) {
+    throw new Error('"' + sheetName + '" has no header row yet. Run Import from Drive once so the Study Analysis layout is known.');
+  }
+  var current = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  var missing = missingImportHeaders(current[0]);
+  if (missing.length > 0) throw new Error('"' + sheetName + '" is missing required column(s): ' + missing.join(', ') + '. Run Import from Drive first.');
+
+  var built = buildClassNaviDataRows(current, roster, subject);
+  if (built.rows.length === 1) throw new Error('ClassNavi returned no active ' + subject + ' students; "' + sheetName + '" was left as it is.');
+  var requiredKeys = IMPORT_REQUIRED_HEADERS.map(importHeaderKey);
+  var blankRequired = built.unmapped.filter(function (h) { return requiredKeys.indexOf(importHeaderKey(h)) !== -1; });
+  if (blankRequired.length > 0) {
+    throw new Error('ClassNavi has no data for ' + blankRequired.join(', ') + ', which Load needs; "' + sheetName +
+      '" was left as it is. Use Import from Drive for ' + subject + '.');
+  }
+  var changes = writeImportRows(sheetName, built.rows);
+  debugLog('Import', 'ClassNavi import', { sheet: sheetName, rows: built.rows.length - 1, carried: built.carried, unmapped: built.unmapped });
+  return {
+    sheetName: sheetName,
+    rows: built.rows.length - 1,
+    carried: built.carried,
+    newStudents: built.newStudents,
+    unmapped: built.unmapped,
+    changes: changes
+  };
+}
+
+/**
+ * Data rows (header row first) for one subject's active students. A column ClassNavi has no value for
+ * keeps the student's value from the current sheet (matched by LoginID).
+ * @param {any[][]} current - The Data sheet as it is now, header row first
+ * @param {Object} roster - From classNaviGetRoster
+ * @param {string} subject - "Math" or "Reading"
+ * @returns {{ rows: any[][], carried: string[], newStudents: number, unmapped: string[] }}
+ *   carried: headers filled from the current sheet; unmapped: headers blank for every student
+ */
+function buildClassNaviDataRows(current, roster, subject) {
+  var headers = current[0].map(function (h) { return String(h == null ? '' : h); });
+  var idCol = headers.map(importHeaderKey).indexOf('loginid');
+  var previous = {};
+  for (var r = 1; r < current.length; r++) {
+    var oldId = String(current[r][idCol] == null ? '' : current[r][idCol]).trim();
+    if (oldId && !previous[oldId]) previous[oldId] = current[r];
+  }
+  var subjectCD = subject === 'Math' ? '010' : '022';
+  var rows = [headers];
+  var mapped = {};
+  var carried = {};
+  var newStudents = 0;
+  for (var i = 0; i < roster.students.length; i++) {
+    var s = roster.students[i];
+    var study = classNaviFindStudy(s.StudentStudyInfoList || [], subjectCD);
+    if (!study || classNaviSubjectStatus(s.StudentStudyInfoList, subjectCD) !== 'active') continue;
+    var old = previous[String(classNaviImportValue('LoginID', s, study, subject, roster)).trim()];
+    if (!old) newStudents++;
+    var row = [];
+    for (var c = 0; c < headers.length; c++) {
+      var value = classNaviImportValue(headers[c], s, study, subject, roster);
+      if (value !== null) {
+        mapped[c] = true;
+      } else if (old && old[c] != null && String(old[c]) !== '') {
+        value = old[c];
+        carried[c] = true;
+      }
+      row.push(value === null ? '' : value);
+    }
+    rows.push(row);
+  }
+  return {
+    rows: rows,
+    carried: headers.filter(function (h, c) { return h && !mapped[c] && carried[c]; }),
+    newStudents: newStudents,
+    unmapped: headers.filter(function (h, c) { return h && !mapped[c] && !carried[c]; })
+  };
+}
+
+/**
+ * Value for one Data sheet column from a roster student. Known Study Analysis headers are mapped by name;
+ * otherwise a student or study field with the same name (ignoring case and spaces) is used.
+ * @returns {any|null} null when ClassNavi has nothing for that column
+ */
+function classNaviImportValue(header, student, study, subject, roster) {
+  var key = String(header || '').toLowerCase().replace(/[\s_#.]+/g, '');
+  switch (key) {
+    case 'loginid': return (student.LoginID != null ? String(student.LoginID) : '') || String(student.StudentID || '');
+    case 'studentid': return student.StudentID != null ? String(student.StudentID) : '';
+    case 'name':
+    case 'studentname': return classNaviStudentName(student);
+    case 'center':
+    case 'centername': return student.CenterName || student.CenterID || roster.centerID || '';
+    case 'subject': return subject;
+    case 'level':
+    case 'currentlevel':
+    case 'worksheet':
+    case 'currentworksheet': return study.NextWorksheetCD != null ? String(study.NextWorksheetCD) : '';
+    case 'status':
+    case 'studystatus': return classNaviSubjectStatus(student.StudentStudyInfoList, study.SubjectCD);
+    case 'email':
+    case 'emailaddress':
+    case 'parentemail':
+    case 'guardianemail': {
+      var email = student.GuardianMailAddress || student.ParentMailAddress || student.MailAddress || student.Email;
+      return email ? String(email) : null;
+    }
+  }
+  var sources = [study, student];
+  for (var i = 0; i < sources.length; i++) {
+    for (var field in sources[i]) {
+      if (field.toLowerCase() === key && sources[i][field] != null && typeof sources[i][field] !== 'object') return sources[i][field];
+    }
+  }
+  return null;
+}
+
+// --- Resumable verify: runs in chunks under the 6-minute limit, continued by time-driven triggers ---
+// Job state (rows to check, position, counts) is checkpointed in Document Properties.
+const CLASSNAVI_JOB_PROP = 'CLASSNAVI_VERIFY_JOB';
+const CLASSNAVI_LAST_SUMMARY_PROP = 'CLASSNAVI_VERIFY_LAST_SUMMARY';
+const CLASSNAVI_CHUNK_MS = 4.5 * 60 * 1000;       // stop a chunk well before the 6-minute limit
+const CLASSNAVI_CONTINUE_AFTER_MS = 60 * 1000;    // delay before the continuation trigger fires
+const CLASSNAVI_CHECKPOINT_EVERY = 10;            // rows between checkpoints
+const CLASSNAVI_CONTINUE_HANDLER = 'continueClassNaviVerify';
+
 /**
  * Verify from ClassNavi: combined. For each student in work area (column I), fetches lowest planned page
- * (P–S) and active/inactive status (T) for this dashboard's subject only. Run from Math or Reading Dashboard.
- * Loading shown in cell T1 throughout.
+ * (P–S) for this dashboard's subject and Math/Reading status (T/U, cross-subject flag in V).
+ * Run from Math or Reading Dashboard.
+ * Progress is shown in cell T1. Large work areas continue in the background in chunks; see cancelClassNaviVerify.
  */
 function verifyFromClassNavi() {
   var ui = SpreadsheetApp.getUi();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
   var sheet = ss.getActiveSheet();
-  var name = sheet.getName();
-  var isMath = name.toLowerCase().indexOf('math') !== -1;
-  var isReading = name.toLowerCase().indexOf('reading') !== -1;
-  var isDashboard = name.toLowerCase().indexOf('dashboard') !== -1;
-  if (!isDashboard || (!isMath && !isReading)) {
+  var subject = getDashboardSubject(sheet);
+  if (!subject) {
     ui.alert('Wrong sheet', 'Please run "Verify from ClassNavi" from Math Dashboard or Reading Dashboard.', ui.ButtonSet.OK);
     return;
   }
-  var subjectCD = isMath ? '010' : '022';
-  var colLabel = isMath ? 'Math' : 'Reading';
-  var lastRow = sheet.getLastRow();
-  if (lastRow < WORK_AREA_START_ROW) {
-    ui.alert('No data', 'No rows in work area. Load students first.', ui.ButtonSet.OK);
+  startClassNaviVerify(ui, [sheet]);
+}
+
+/**
+ * Verify all dashboards: one job over the Math and Reading Dashboard work areas, sharing one roster fetch.
+ * Fills P–V on both sheets.
+ */
+function verifyAllDashboardsFromClassNavi() {
+  var ui = SpreadsheetApp.getUi();
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheets = getDashboardSheets(ss);
+  if (sheets.length === 0) {
+    ui.alert('No dashboards', 'Could not find "Math Dashboard" or "Reading Dashboard".', ui.ButtonSet.OK);
     return;
   }
-  var rowsWithLoginId = [];
-  for (var r = WORK_AREA_START_ROW; r <= lastRow; r++) {
-    var val = sheet.getRange(r, WORK_AREA_START_COL).getValue();
-    var id = (val != null && String(val).trim() !== '') ? String(val).trim() : '';
-    if (id) rowsWithLoginId.push({ row: r, loginId: id });
+  startClassNaviVerify(ui, sheets);
+}
+
+/**
+ * Starts a verify job for the given dashboards and runs the first chunk now.
+ * @param {GoogleAppsScript.Base.Ui} ui
+ * @param {GoogleAppsScript.Spreadsheet.Sheet[]} sheets - Math and/or Reading Dashboard
+ */
+function startClassNaviVerify(ui, sheets) {
+  var running = loadClassNaviJob();
+  if (running) {
+    var answer = ui.alert(
+      'Verify already running',
+      'A ClassNavi verify started ' + new Date(running.startedAt).toLocaleString() + ' is at ' + running.next + '/' + running.total + '.\n\n' +
+      'Cancel it and start a new one?',
+      ui.ButtonSet.YES_NO
+    );
+    if (answer !== ui.Button.YES) return;
+    stopClassNaviJob(running, 'Cancelled');
   }
-  if (rowsWithLoginId.length === 0) {
+
+  var job = classNaviBuildJob(sheets);
+  if (job.total === 0) {
     ui.alert('No students', 'No LoginIDs in column I. Load students first.', ui.ButtonSet.OK);
     return;
   }
-  var statusRange = sheet.getRange(CLASSNAVI_STATUS_CELL_ROW, CLASSNAVI_STATUS_CELL_COL);
-  function setStatus(msg) {
-    statusRange.setValue(msg);
-    SpreadsheetApp.flush();
+
+  // Check the login interactively so an expired credential is caught before anything is queued
+  var session = classNaviLoginWithStoredCredentials(ui);
+  if (!session) return;
+
+  classNaviQueueJob(job);
+  var result = runClassNaviVerifyChunk(session);
+  if (result.finished) {
+    ui.alert('Verify complete', result.summary, ui.ButtonSet.OK);
+  } else if (result.error) {
+    ui.alert('Verify stopped', result.error, ui.ButtonSet.OK);
+  } else {
+    ui.alert(
+      'Verify continuing',
+      'Checked ' + result.next + ' of ' + job.total + ' so far. The rest continues in the background; progress is shown in cell T1.\n\n' +
+      'Use "Cancel ClassNavi Verify" to stop it.',
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Builds (but does not save) a verify job over the LoginIDs in column I of the given dashboards.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet[]} sheets
+ * @returns {Object} Job with total 0 when there is nothing to check
+ */
+function classNaviBuildJob(sheets) {
+  var groups = [];
+  var total = 0;
+  for (var s = 0; s < sheets.length; s++) {
+    var sheet = sheets[s];
+    var lastRow = sheet.getLastRow();
+    if (lastRow < WORK_AREA_START_ROW) continue;
+    var ids = sheet.getRange(WORK_AREA_START_ROW, WORK_AREA_START_COL, lastRow - WORK_AREA_START_ROW + 1, 1).getValues();
+    var rows = [];
+    for (var r = 0; r < ids.length; r++) {
+      if (ids[r][0] != null && String(ids[r][0]).trim() !== '') rows.push(WORK_AREA_START_ROW + r);
+    }
+    if (rows.length === 0) continue;
+    groups.push({ sheet: sheet.getName(), subjectCD: getDashboardSubject(sheet) === 'Math' ? '010' : '022', rows: classNaviEncodeRows(rows), count: rows.length });
+    total += rows.length;
+  }
+  return {
+    id: String(Date.now()),
+    startedAt: Date.now(),
+    groups: groups,
+    total: total,
+    next: 0,
+    counts: { checked: 0, notFound: 0, errors: 0, inactive: 0, crossFlagged: 0 },
+    chunks: 0
+  };
+}
+
+/** Saves a built job as the running one and writes the result headers and T1 status on its sheets. */
+function classNaviQueueJob(job) {
+  saveClassNaviJob(job);
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  for (var g = 0; g < job.groups.length; g++) {
+    var gs = ss.getSheetByName(job.groups[g].sheet);
+    classNaviWriteResultHeaders(gs);
+    classNaviSetStatusCell(gs, 'Verifying... starting 0/' + job.total);
+  }
+  debugLog('ClassNavi', 'verify job started', { id: job.id, total: job.total, sheets: job.groups.map(function (x) { return x.sheet; }) });
+}
+
+/**
+ * Verify all dashboards without any UI (daily run). Leaves a running job alone; the first chunk runs now
+ * and the rest continues through the usual continuation trigger.
+ * @returns {{ status: string, title: string, message: string }}
+ */
+function runClassNaviVerifyHeadless() {
+  var title = 'Verify from ClassNavi';
+  var running = loadClassNaviJob();
+  if (running) {
+    return { status: RUN_STATUS_WARNING, title: title, message: 'A verify is already running (' + running.next + '/' + running.total + '); not started again.' };
+  }
+  if (!getClassNaviCredentials()) {
+    return { status: RUN_STATUS_ERROR, title: title, message: 'No ClassNavi login stored for the user who scheduled the run. Open ClassNavi Settings.' };
+  }
+  var job = classNaviBuildJob(getDashboardSheets(SpreadsheetApp.getActiveSpreadsheet()));
+  if (job.total === 0) {
+    return { status: RUN_STATUS_WARNING, title: title, message: 'No LoginIDs in column I; nothing to verify.' };
+  }
+  classNaviQueueJob(job);
+  var result = runClassNaviVerifyChunk(null);
+  if (result.finished) return { status: RUN_STATUS_OK, title: title, message: result.summary };
+  if (result.error) return { status: RUN_STATUS_ERROR, title: title, message: result.error };
+  return { status: RUN_STATUS_OK, title: title, message: 'Checked ' + result.next + ' of ' + job.total + '; the rest continues in the background (see T1).' };
+}
+
+/** Time-driven trigger handler: continues the saved verify job. */
+function continueClassNaviVerify() {
+  deleteTriggersByHandler(CLASSNAVI_CONTINUE_HANDLER);
+  runClassNaviVerifyChunk(null);
+}
+
+/**
+ * Processes the saved job until it finishes, the chunk time runs out or the request budget is used up,
+ * checkpointing as it goes. Schedules a continuation trigger when rows are left; an unexpected error stops the job.
+ * @param {Object|null} session - Open session, or null to open one from the stored credentials
+ * @returns {{ finished: boolean, next: number, summary: string, error: string }}
+ */
+function runClassNaviVerifyChunk(session) {
+  var lock = LockService.getDocumentLock();
+  if (!lock.tryLock(5000)) {
+    // Try again later rather than rely on the running chunk to leave a continuation trigger
+    var waiting = loadClassNaviJob();
+    if (waiting) classNaviScheduleContinuation();
+    debugLog('ClassNavi', 'verify chunk skipped: another chunk is running', { rescheduled: !!waiting });
+    return { finished: false, next: waiting ? waiting.next : 0, summary: '', error: '' };
   }
-  setStatus('Verifying... Logging in... 0/' + rowsWithLoginId.length);
-  var token;
+  var job = loadClassNaviJob();
   try {
-    token = classNaviLogin(CLASSNAVI_LOGIN_ID, CLASSNAVI_PASSWORD_HASH);
+    return classNaviVerifyChunkLocked(job, session);
   } catch (e) {
-    statusRange.clearContent();
-    ui.alert('ClassNavi login failed', e.message, ui.ButtonSet.OK);
-    return;
+    debugLog('ClassNavi', 'verify chunk ERROR', { message: e.message, stack: e.stack });
+    var stopped = 'Verify stopped: ' + e.message;
+    if (job) stopClassNaviJob(job, stopped);
+    return { finished: false, next: job ? job.next : 0, summary: '', error: stopped };
+  } finally {
+    lock.releaseLock();
   }
-  setStatus('Verifying... Fetching student list... 0/' + rowsWithLoginId.length);
-  var instructorInfo, centerID, instructorAssistantSec, allStudents;
+}
+
+/** Body of runClassNaviVerifyChunk, run while holding the document lock. */
+function classNaviVerifyChunkLocked(job, session) {
+  if (!job) return { finished: true, next: 0, summary: 'No verify job.', error: '' };
+  var chunkStart = Date.now();
+  job.chunks++;
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  var sheets = {};
+  for (var g = 0; g < job.groups.length; g++) sheets[job.groups[g].sheet] = ss.getSheetByName(job.groups[g].sheet);
+
+  var roster;
   try {
-    instructorInfo = classNaviGetInstructorInfo(token, CLASSNAVI_LOGIN_ID);
-    centerID = instructorInfo.MainCenterID || (instructorInfo.CenterInfoList && instructorInfo.CenterInfoList[0] && instructorInfo.CenterInfoList[0].CenterID);
-    instructorAssistantSec = instructorInfo.InstructorAssistantSec || '2';
-    allStudents = classNaviGetAllStudents(token, centerID, CLASSNAVI_LOGIN_ID, instructorAssistantSec);
+    if (!session) {
+      var creds = getClassNaviCredentials();
+      if (!creds) throw new Error('No ClassNavi login stored. Open KNA Email Sender → ClassNavi Settings.');
+      session = classNaviOpenSession(creds);
+    }
+    roster = classNaviGetRoster(session);
   } catch (e) {
-    statusRange.clearContent();
-    ui.alert('ClassNavi fetch failed', e.message, ui.ButtonSet.OK);
-    return;
+    var msg = e.classNaviAuth ? 'ClassNavi sign-in expired – open ClassNavi Settings, then run Verify again.' : 'ClassNavi error: ' + e.message;
+    stopClassNaviJob(job, msg);
+    return { finished: false, next: job.next, summary: '', error: msg };
   }
-  var loginIdToStudent = {};
-  for (var i = 0; i < allStudents.length; i++) {
-    var s = allStudents[i];
-    var lid = (s.LoginID != null ? String(s.LoginID) : '') || (s.StudentID != null ? String(s.StudentID) : '');
-    if (lid) loginIdToStudent[lid] = s;
-  }
-  function getSubjectStatus(studyList, subjCD) {
-    if (!studyList || !Array.isArray(studyList)) return 'not enrolled';
-    var want = subjCD === '010' || subjCD === 10 ? [10, '010'] : [22, '022'];
-    for (var j = 0; j < studyList.length; j++) {
-      var s = studyList[j];
-      var cd = s.SubjectCD;
-      if (cd === want[0] || cd === want[1]) {
-        var st = s.Status;
-        return (st === '1' || st === 1) ? 'inactive' : 'active';
-      }
-    }
-    return 'not enrolled';
-  }
-  var headersDone = false;
-  for (var i = 0; i < rowsWithLoginId.length; i++) {
-    setStatus('Verifying... ' + (i + 1) + '/' + rowsWithLoginId.length);
-    var item = rowsWithLoginId[i];
-    var r = item.row;
-    var loginId = item.loginId;
-    var level = '';
-    var lowestFrom = '';
-    var lowestTo = '';
-    var errMsg = '';
-    var activeStatus = 'not found';
-    var student = loginIdToStudent[loginId];
-    if (!student) {
-      errMsg = 'Not found in ClassNavi';
-    } else {
-      var studyList = student.StudentStudyInfoList || [];
-      activeStatus = getSubjectStatus(studyList, subjectCD);
-      var study = null;
-      for (var j = 0; j < studyList.length; j++) {
-        if (studyList[j].SubjectCD === subjectCD || studyList[j].SubjectCD === (isMath ? 10 : 22)) { study = studyList[j]; break; }
-      }
-      if (!study || study.ClassID == null || study.ClassStudentSeq == null) {
-        if (!errMsg) errMsg = 'No ' + colLabel + ' study info';
-      } else {
+  var lookup = classNaviRosterByLoginId(roster.students);
+
+  while (job.next < job.total) {
+    if (Date.now() - chunkStart > CLASSNAVI_CHUNK_MS) break;
+    var item = classNaviJobItem(job, job.next);
+    var sheet = sheets[item.sheet];
+    if (sheet) {
+      var loginId = String(sheet.getRange(item.row, WORK_AREA_START_COL).getValue() || '').trim();
+      if (loginId) {
+        var values;
         try {
-          var result = classNaviGetStudyResult(
-            token,
-            student.StudentID || student.LoginID,
-            study.ClassID,
-            study.ClassStudentSeq,
-            subjectCD,
-            centerID,
-            study.NextWorksheetCD
-          );
-          level = study.NextWorksheetCD != null ? String(study.NextWorksheetCD) : '';
-          var lowest = classNaviComputeLowest(result);
-          if (lowest.minFrom != null) lowestFrom = lowest.minFrom;
-          if (lowest.minTo != null) lowestTo = lowest.minTo;
+          values = classNaviVerifyRow(session, roster, lookup, loginId, item.subjectCD);
         } catch (e) {
-          errMsg = e.message ? e.message.substring(0, 100) : 'API error';
+          if (!e.classNaviBudget) throw e;
+          // Out of requests: this row is retried by the next chunk with a fresh session
+          debugLog('ClassNavi', 'request budget used up, checkpointing', { id: job.id, next: job.next });
+          break;
         }
-        Utilities.sleep(400);
+        sheet.getRange(item.row, CLASSNAVI_RESULT_START_COL, 1, values.length).setValues([values]);
+        job.counts.checked++;
+        if (values[3] === 'Not found in ClassNavi') job.counts.notFound++;
+        else if (values[3]) job.counts.errors++;
+        var ownStatusCol = item.subjectCD === '010' ? CLASSNAVI_INACTIVE_MATH_COL : CLASSNAVI_INACTIVE_READING_COL;
+        if (values[ownStatusCol - CLASSNAVI_RESULT_START_COL] === 'inactive') job.counts.inactive++;
+        if (values[CLASSNAVI_CROSS_FLAG_COL - CLASSNAVI_RESULT_START_COL]) job.counts.crossFlagged++;
+      }
+    }
+    job.next++;
+    if (job.next % CLASSNAVI_CHECKPOINT_EVERY === 0) {
+      var saved = loadClassNaviJob();
+      if (!saved || saved.id !== job.id) {
+        debugLog('ClassNavi', 'verify job cancelled while running', { id: job.id });
+        return { finished: false, next: job.next, summary: '', error: 'Cancelled.' };
+      }
+      saveClassNaviJob(job);
+      for (var name in sheets) {
+        if (sheets[name]) classNaviSetStatusCell(sheets[name], 'Verifying... ' + job.next + '/' + job.total);
+      }
+    }
+  }
+
+  if (job.next >= job.total) {
+    var summary = classNaviJobSummary(job);
+    PropertiesService.getDocumentProperties().setProperty(CLASSNAVI_LAST_SUMMARY_PROP, summary);
+    stopClassNaviJob(job, 'Verify done ' + Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'M/d HH:mm') +
+      ': ' + job.counts.checked + ' checked, ' + job.counts.notFound + ' not found, ' + job.counts.errors + ' errors');
+    debugLog('ClassNavi', 'verify job finished', { id: job.id, counts: job.counts, chunks: job.chunks });
+    return { finished: true, next: job.next, summary: summary, error: '' };
+  }
+
+  saveClassNaviJob(job);
+  for (var n in sheets) {
+    if (sheets[n]) classNaviSetStatusCell(sheets[n], 'Verifying... ' + job.next + '/' + job.total + ' (continuing in background)');
+  }
+  classNaviScheduleContinuation();
+  debugLog('ClassNavi', 'verify chunk done, continuation scheduled', { id: job.id, next: job.next, total: job.total, requests: session.requests });
+  return { finished: false, next: job.next, summary: '', error: '' };
+}
+
+/** Replaces the continuation trigger so the saved job resumes in CLASSNAVI_CONTINUE_AFTER_MS. */
+function classNaviScheduleContinuation() {
+  deleteTriggersByHandler(CLASSNAVI_CONTINUE_HANDLER);
+  ScriptApp.newTrigger(CLASSNAVI_CONTINUE_HANDLER).timeBased().after(CLASSNAVI_CONTINUE_AFTER_MS).create();
+}
+
+/** Menu: stops a running verify job (removes its trigger and state) and reports how far it got. */
+function cancelClassNaviVerify() {
+  var ui = SpreadsheetApp.getUi();
+  var job = loadClassNaviJob();
+  if (!job) {
+    var last = PropertiesService.getDocumentProperties().getProperty(CLASSNAVI_LAST_SUMMARY_PROP);
+    ui.alert('No verify running', last ? 'Last completed verify:\n\n' + last : 'No ClassNavi verify is running.', ui.ButtonSet.OK);
+    return;
+  }
+  stopClassNaviJob(job, '');
+  ui.alert('Verify cancelled', 'Stopped at ' + job.next + ' of ' + job.total + '.\n\n' + classNaviJobSummary(job), ui.ButtonSet.OK);
+}
+
+/**
+ * Looks up one work-area student and returns the values for P–V. Level and lowest pages are for the
+ * dashboard's subject; T/U are the Math/Reading statuses from the roster (no extra API call).
+ * @param {Object} session
+ * @param {Object} roster - From classNaviGetRoster
+ * @param {Object<string, Object>} lookup - From classNaviRosterByLoginId
+ * @param {string} loginId
+ * @param {string} subjectCD - "010" Math or "022" Reading
+ * @returns {any[]} [Level, Lowest From, Lowest To, Error, Math status, Reading status, Cross-subject flag]
+ */
+function classNaviVerifyRow(session, roster, lookup, loginId, subjectCD) {
+  var level = '';
+  var lowestFrom = '';
+  var lowestTo = '';
+  var errMsg = '';
+  var mathStatus = 'not found';
+  var readingStatus = 'not found';
+  var crossFlag = '';
+  var colLabel = subjectCD === '010' ? 'Math' : 'Reading';
+  var student = lookup[loginId];
+  if (!student) {
+    errMsg = 'Not found in ClassNavi';
+  } else {
+    var studyList = student.StudentStudyInfoList || [];
+    mathStatus = classNaviSubjectStatus(studyList, '010');
+    readingStatus = classNaviSubjectStatus(studyList, '022');
+    if (mathStatus === 'inactive' && readingStatus === 'active') crossFlag = 'Inactive in Math, active in Reading';
+    else if (readingStatus === 'inactive' && mathStatus === 'active') crossFlag = 'Inactive in Reading, active in Math';
+    var study = classNaviFindStudy(studyList, subjectCD);
+    if (!study || study.ClassID == null || study.ClassStudentSeq == null) {
+      errMsg = 'No ' + colLabel + ' study info';
+    } else {
+      try {
+        var result = classNaviGetStudyResult(
+          session,
+          student.StudentID || student.LoginID,
+          study.ClassID,
+          study.ClassStudentSeq,
+          subjectCD,
+          roster.centerID,
+          study.NextWorksheetCD
+        );
+        level = study.NextWorksheetCD != null ? String(study.NextWorksheetCD) : '';
+        var lowest = classNaviComputeLowest(result);
+        if (lowest.minFrom != null) lowestFrom = lowest.minFrom;
+        if (lowest.minTo != null) lowestTo = lowest.minTo;
+      } catch (e) {
+        if (e.classNaviBudget) throw e;
+        errMsg = e.message ? e.message.substring(0, 100) : 'API error';
       }
     }
-    if (!headersDone) {
-      sheet.getRange(2, CLASSNAVI_RESULT_START_COL, 1, 5).setValues([['ClassNavi Level', 'Lowest From', 'Lowest To', 'ClassNavi Error', colLabel]]);
-      headersDone = true;
+  }
+  return [level, lowestFrom, lowestTo, errMsg, mathStatus, readingStatus, crossFlag];
+}
+
+/** Roster students keyed by LoginID (StudentID when there is no LoginID). */
+function classNaviRosterByLoginId(students) {
+  var out = {};
+  for (var i = 0; i < students.length; i++) {
+    var s = students[i];
+    var lid = (s.LoginID != null ? String(s.LoginID) : '') || (s.StudentID != null ? String(s.StudentID) : '');
+    if (lid) out[lid] = s;
+  }
+  return out;
+}
+
+/** The StudentStudyInfoList entry for a subject ("010" / 10 Math, "022" / 22 Reading), or null. */
+function classNaviFindStudy(studyList, subjectCD) {
+  var want = subjectCD === '010' || subjectCD === 10 ? [10, '010'] : [22, '022'];
+  for (var j = 0; j < (studyList || []).length; j++) {
+    var cd = studyList[j].SubjectCD;
+    if (cd === want[0] || cd === want[1]) return studyList[j];
+  }
+  return null;
+}
+
+/** "active", "inactive" (Status 1) or "not enrolled" for a subject. */
+function classNaviSubjectStatus(studyList, subjectCD) {
+  if (!studyList || !Array.isArray(studyList)) return 'not enrolled';
+  var study = classNaviFindStudy(studyList, subjectCD);
+  if (!study) return 'not enrolled';
+  return (study.Status === '1' || study.Status === 1) ? 'inactive' : 'active';
+}
+
+function classNaviWriteResultHeaders(sheet) {
+  sheet.getRange(2, CLASSNAVI_RESULT_START_COL, 1, CLASSNAVI_RESULT_COLS)
+    .setValues([['ClassNavi Level', 'Lowest From', 'Lowest To', 'ClassNavi Error', 'Math', 'Reading', 'Cross-subject']]);
+}
+
+function classNaviSetStatusCell(sheet, msg) {
+  var cell = sheet.getRange(CLASSNAVI_STATUS_CELL_ROW, CLASSNAVI_STATUS_CELL_COL);
+  if (msg) cell.setValue(msg);
+  else cell.clearContent();
+  SpreadsheetApp.flush();
+}
+
+/** Row lists are stored as "3-120,122-130" so a big work area fits in one property. */
+function classNaviEncodeRows(rows) {
+  var parts = [];
+  for (var i = 0; i < rows.length; i++) {
+    var start = rows[i];
+    while (i + 1 < rows.length && rows[i + 1] === rows[i] + 1) i++;
+    parts.push(start === rows[i] ? String(start) : start + '-' + rows[i]);
+  }
+  return parts.join(',');
+}
+
+function classNaviDecodeRows(encoded) {
+  var rows = [];
+  var parts = String(encoded || '').split(',');
+  for (var i = 0; i < parts.length; i++) {
+    if (!parts[i]) continue;
+    var ends = parts[i].split('-');
+    var from = Number(ends[0]);
+    var to = ends.length > 1 ? Number(ends[1]) : from;
+    for (var r = from; r <= to; r++) rows.push(r);
+  }
+  return rows;
+}
+
+/** The index-th row across all job groups: { sheet, subjectCD, row }. */
+function classNaviJobItem(job, index) {
+  for (var g = 0; g < job.groups.length; g++) {
+    var group = job.groups[g];
+    if (index < group.count) {
+      if (!group.decoded) group.decoded = classNaviDecodeRows(group.rows);
+      return { sheet: group.sheet, subjectCD: group.subjectCD, row: group.decoded[index] };
     }
-    sheet.getRange(r, CLASSNAVI_RESULT_START_COL, 1, 5).setValues([[level, lowestFrom, lowestTo, errMsg, activeStatus]]);
+    index -= group.count;
+  }
+  return null;
+}
+
+function classNaviJobSummary(job) {
+  var sheetNames = job.groups.map(function (g) { return g.sheet + ' (' + g.count + ')'; }).join(', ');
+  return 'Verified ' + job.counts.checked + ' of ' + job.total + ' students on ' + sheetNames + '.\n' +
+    'Not found in ClassNavi: ' + job.counts.notFound + '\n' +
+    'Errors: ' + job.counts.errors + '\n' +
+    'Inactive (dashboard subject): ' + job.counts.inactive + '\n' +
+    'Inactive in one subject, active in the other: ' + job.counts.crossFlagged + '\n' +
+    'Chunks: ' + job.chunks + '\n\n' +
+    'P–S: Level/Lowest/Error. T/U: Math/Reading active/inactive/not enrolled. V: cross-subject flag.';
+}
+
+function loadClassNaviJob() {
+  var json = PropertiesService.getDocumentProperties().getProperty(CLASSNAVI_JOB_PROP);
+  return json ? JSON.parse(json) : null;
+}
+
+function saveClassNaviJob(job) {
+  var copy = JSON.parse(JSON.stringify(job));
+  for (var g = 0; g < copy.groups.length; g++) delete copy.groups[g].decoded;
+  PropertiesService.getDocumentProperties().setProperty(CLASSNAVI_JOB_PROP, JSON.stringify(copy));
+}
+
+/**
+ * Ends a job: removes its state and continuation trigger and leaves a final message in T1
+ * (empty message clears T1).
+ */
+function stopClassNaviJob(job, statusMessage) {
+  PropertiesService.getDocumentProperties().deleteProperty(CLASSNAVI_JOB_PROP);
+  deleteTriggersByHandler(CLASSNAVI_CONTINUE_HANDLER);
+  var ss = SpreadsheetApp.getActiveSpreadsheet();
+  for (var g = 0; g < job.groups.length; g++) {
+    var sheet = ss.getSheetByName(job.groups[g].sheet);
+    if (sheet) classNaviSetStatusCell(sheet, statusMessage);
+  }
+}
+
+/** Deletes this project's triggers that call the given function. */
+function deleteTriggersByHandler(handlerName) {
+  var triggers = ScriptApp.getProjectTriggers();
+  for (var i = 0; i < triggers.length; i++) {
+    if (triggers[i].getHandlerFunction() === handlerName) ScriptApp.deleteTrigger(triggers[i]);
   }
-  statusRange.clearContent();
-  ui.alert('Verify complete', 'Verified ' + rowsWithLoginId.length + ' students. P–S: Level/Lowest/Error. T: ' + colLabel + ' (active/inactive/not enrolled).', ui.ButtonSet.OK);
 }